@@ -0,0 +1,80 @@
+const fs = require('fs');
+const readline = require('readline');
+
+const DEFAULT_RECENT = 200;
+
+// Structured audit trail. Every event is appended to a JSONL file (when configured), handed to
+// an optional sink such as MeshCentral's event dispatcher, and kept in a short in-memory list
+// for the admin panel.
+function createAuditLog(options = {}) {
+  const { file = null, sink = null, maxRecent = DEFAULT_RECENT, logger = console } = options;
+
+  const recentEvents = []; // newest last
+
+  function record(type, fields = {}) {
+    const event = { at: Date.now(), type, ...fields };
+    recentEvents.push(event);
+    if (recentEvents.length > maxRecent) {
+      recentEvents.shift();
+    }
+    if (file) {
+      // Appended synchronously so a query right after an event always sees it.
+      try {
+        fs.appendFileSync(file, `${JSON.stringify(event)}\n`, { mode: 0o600 });
+      } catch (err) {
+        logger.error ? logger.error(`MeshAudio audit log ${file} failed`, err) : logger.log(`MeshAudio audit log ${file} failed`, err);
+      }
+    }
+    if (sink) {
+      try {
+        sink(event);
+      } catch (err) {
+        logger.error ? logger.error('MeshAudio audit sink failed', err) : logger.log('MeshAudio audit sink failed', err);
+      }
+    }
+    return event;
+  }
+
+  function recent(limit = maxRecent) {
+    return recentEvents.slice(-limit).reverse();
+  }
+
+  function matches(event, { deviceId, userId, from, to, type }) {
+    return (!deviceId || event.deviceId === deviceId)
+      && (!userId || event.userId === userId)
+      && (!type || event.type === type)
+      && (!from || event.at >= from)
+      && (!to || event.at <= to);
+  }
+
+  // Filters by deviceId, userId, type and an [from, to] ms range; newest first, at most `limit`.
+  // Reads the whole file when there is one, otherwise only the in-memory list is searched.
+  async function query(filter = {}) {
+    const limit = filter.limit || 500;
+    if (!file || !fs.existsSync(file)) {
+      return recentEvents.filter((event) => matches(event, filter)).slice(-limit).reverse();
+    }
+    const result = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (_) {
+        continue;
+      }
+      if (matches(event, filter)) {
+        result.push(event);
+        if (result.length > limit) {
+          result.shift();
+        }
+      }
+    }
+    return result.reverse();
+  }
+
+  return { record, recent, query };
+}
+
+module.exports = createAuditLog;
+module.exports.createAuditLog = createAuditLog;
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Per-device agent credentials: `<keyId>.<hmac>` where the HMAC binds the keyId to the deviceId.
+// Rotating issues a new keyId for one device; revoking forgets it. Other devices are unaffected.
+function createCredentialStore(options = {}) {
+  const { file = null, secret = null, logger = console } = options;
+
+  const state = load();
+  if (!state.secret) {
+    state.secret = secret || crypto.randomBytes(32).toString('base64url');
+    if (!secret && !file) {
+      const msg = 'MeshAudio credential secret is ephemeral; set MESHAUDIO_CREDENTIAL_SECRET or a credentials file';
+      logger.warn ? logger.warn(msg) : logger.log(msg);
+    }
+    save();
+  }
+
+  function load() {
+    const empty = { secret, devices: {} };
+    if (!file || !fs.existsSync(file)) {
+      return empty;
+    }
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return { secret: secret || parsed.secret || null, devices: parsed.devices || {} };
+    } catch (err) {
+      logger.error ? logger.error(`MeshAudio: unable to read credentials file ${file}`, err) : logger.log(`MeshAudio: unable to read credentials file ${file}`, err);
+      return empty;
+    }
+  }
+
+  function save() {
+    if (!file) {
+      return;
+    }
+    // A configured secret stays in the environment; only a generated one is written out.
+    const persisted = { secret: secret ? undefined : state.secret, devices: state.devices };
+    fs.writeFileSync(file, JSON.stringify(persisted, null, 2), { mode: 0o600 });
+  }
+
+  function sign(deviceId, keyId) {
+    return crypto.createHmac('sha256', state.secret).update(`${deviceId}.${keyId}`).digest('base64url');
+  }
+
+  function issue(deviceId) {
+    const keyId = crypto.randomBytes(9).toString('base64url');
+    const issuedAt = Date.now();
+    state.devices[deviceId] = { keyId, issuedAt };
+    save();
+    return { deviceId, keyId, issuedAt, credential: `${keyId}.${sign(deviceId, keyId)}` };
+  }
+
+  function revoke(deviceId) {
+    if (!state.devices[deviceId]) {
+      return false;
+    }
+    delete state.devices[deviceId];
+    save();
+    return true;
+  }
+
+  function verify(deviceId, credential) {
+    const entry = state.devices[deviceId];
+    if (!entry || typeof credential !== 'string') {
+      return false;
+    }
+    const [keyId, sig] = credential.split('.');
+    if (keyId !== entry.keyId || !sig) {
+      return false;
+    }
+    const expected = Buffer.from(sign(deviceId, keyId));
+    const actual = Buffer.from(sig);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  function list() {
+    return Object.entries(state.devices).map(([deviceId, { keyId, issuedAt }]) => ({ deviceId, keyId, issuedAt }));
+  }
+
+  return { issue, revoke, verify, list };
+}
+
+module.exports = createCredentialStore;
+module.exports.createCredentialStore = createCredentialStore;
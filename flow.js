@@ -0,0 +1,147 @@
+const WebSocket = require('ws');
+
+// Per-viewer send queue for relayed audio. The socket's own buffer is allowed to hold about
+// `maxDelayMs` of audio at the rate frames arrive (never less than `minBufferedBytes`, never
+// more than `maxBufferedBytes`); the rest waits here, and frames older than `maxDelayMs` are
+// dropped from the front so a viewer on a slow link hears current audio instead of an
+// ever-growing backlog. A viewer whose socket makes no progress for `stallTimeoutMs` while
+// frames wait is reported through `onStall`, checked on a timer so it is noticed even after
+// the stream goes quiet.
+function createViewerSendQueue(ws, options = {}) {
+  const {
+    maxBufferedBytes = Infinity,
+    minBufferedBytes = 4 * 1024,
+    maxDelayMs = 1000,
+    stallTimeoutMs = 10 * 1000,
+    onSent = () => {},
+    onDrop = () => {},
+    onStall = () => {}
+  } = options;
+
+  const queue = []; // { data, at }
+  let lastProgressAt = Date.now();
+  let stalled = false;
+  let bytesPerSecond = 0;
+  let rateWindow = null; // { start, bytes }
+
+  const timer = setInterval(check, Math.min(1000, stallTimeoutMs / 4));
+  timer.unref();
+  ws.once('close', close);
+
+  // Measured over windows of at least a second, like the relay's own bitrate.
+  function measure(length, now) {
+    if (!rateWindow) {
+      rateWindow = { start: now, bytes: 0 };
+    }
+    rateWindow.bytes += length;
+    const elapsed = now - rateWindow.start;
+    if (elapsed >= 1000) {
+      bytesPerSecond = (rateWindow.bytes * 1000) / elapsed;
+      rateWindow = { start: now, bytes: 0 };
+    }
+  }
+
+  function budget() {
+    return Math.min(maxBufferedBytes, Math.max(minBufferedBytes, (bytesPerSecond * maxDelayMs) / 1000));
+  }
+
+  function written(length) {
+    lastProgressAt = Date.now();
+    onSent(length);
+    flush();
+  }
+
+  function flush() {
+    const limit = budget();
+    while (queue.length && ws.readyState === WebSocket.OPEN && ws.bufferedAmount < limit) {
+      const { data } = queue.shift();
+      ws.send(data, { binary: true }, (err) => {
+        if (!err) {
+          written(data.length);
+        }
+      });
+    }
+  }
+
+  function shed(now) {
+    let dropped = 0;
+    while (queue.length && now - queue[0].at > maxDelayMs) {
+      queue.shift();
+      dropped += 1;
+    }
+    if (dropped) {
+      onDrop(dropped);
+    }
+  }
+
+  function check() {
+    if (ws.readyState !== WebSocket.OPEN) {
+      close();
+      return;
+    }
+    const now = Date.now();
+    shed(now);
+    flush();
+    if (queue.length && !stalled && now - lastProgressAt > stallTimeoutMs) {
+      stalled = true;
+      onStall();
+    }
+  }
+
+  function push(data) {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    const now = Date.now();
+    measure(data.length, now);
+    if (!queue.length) {
+      // Nothing was waiting, so the stall clock starts now.
+      lastProgressAt = now;
+    }
+    queue.push({ data, at: now });
+    check();
+  }
+
+  function close() {
+    clearInterval(timer);
+    queue.length = 0;
+  }
+
+  return {
+    push,
+    close,
+    get queued() {
+      return queue.length;
+    },
+    get maxBufferedBytes() {
+      return budget();
+    }
+  };
+}
+
+// Token buckets on bytes and frames per second, each allowing a burst of `burstSeconds`.
+function createRateLimiter(options = {}) {
+  const { bytesPerSecond = Infinity, framesPerSecond = Infinity, burstSeconds = 1 } = options;
+  let bytes = bytesPerSecond * burstSeconds;
+  let frames = framesPerSecond * burstSeconds;
+  let last = Date.now();
+
+  return function allow(length) {
+    const now = Date.now();
+    const elapsed = (now - last) / 1000;
+    last = now;
+    bytes = Math.min(bytesPerSecond * burstSeconds, bytes + elapsed * bytesPerSecond);
+    frames = Math.min(framesPerSecond * burstSeconds, frames + elapsed * framesPerSecond);
+    if (bytes < length || frames < 1) {
+      return false;
+    }
+    bytes -= length;
+    frames -= 1;
+    return true;
+  };
+}
+
+module.exports = {
+  createViewerSendQueue,
+  createRateLimiter
+};
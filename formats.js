@@ -0,0 +1,114 @@
+// Stream format negotiation between a viewer's requested profile and an agent's advertised
+// capabilities. Agents that never send `capabilities` are assumed to speak the original
+// fixed format: 48 kHz stereo Opus.
+
+const STREAM_PROFILES = {
+  'voice-low': { codec: 'opus', sampleRate: 16000, channels: 1, bitrate: 16000 },
+  voice: { codec: 'opus', sampleRate: 48000, channels: 1, bitrate: 32000 },
+  music: { codec: 'opus', sampleRate: 48000, channels: 2, bitrate: 128000 },
+  pcm: { codec: 'pcm', sampleRate: 16000, channels: 1 }
+};
+
+const DEFAULT_PROFILE = 'music';
+
+const LEGACY_CAPABILITIES = {
+  codecs: ['opus'],
+  sampleRates: [48000],
+  channels: [2],
+  bitrates: []
+};
+
+const KNOWN_CODECS = ['opus', 'pcm'];
+// Sample rates Opus can be decoded at; PCM/L16 accepts anything the agent lists.
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+function toNumberList(value) {
+  return Array.isArray(value) ? value.map(Number).filter((n) => Number.isFinite(n) && n > 0) : [];
+}
+
+// Normalizes an agent's `capabilities` message, dropping anything the viewer could not play.
+function normalizeCapabilities(msg) {
+  const codecs = Array.isArray(msg && msg.codecs) ? msg.codecs.filter((c) => KNOWN_CODECS.includes(c)) : [];
+  const sampleRates = toNumberList(msg && msg.sampleRates);
+  const channels = toNumberList(msg && msg.channels).filter((n) => n <= 2);
+  if (!codecs.length || !sampleRates.length || !channels.length) {
+    return null;
+  }
+  return { codecs, sampleRates, channels, bitrates: toNumberList(msg.bitrates), e2e: msg.e2e === true };
+}
+
+// Normalizes an agent's `sources` list: every source needs a string id; kind (e.g. 'loopback',
+// 'mic', 'app'), name and channel count are passed on when usable.
+function normalizeSources(list) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  const seen = new Set();
+  const sources = [];
+  for (const entry of list) {
+    const id = entry && typeof entry.id === 'string' ? entry.id.slice(0, 200) : '';
+    if (!id || seen.has(id)) {
+      continue;
+    }
+    seen.add(id);
+    const channels = Number(entry.channels);
+    sources.push({
+      id,
+      kind: typeof entry.kind === 'string' && entry.kind ? entry.kind.slice(0, 32) : 'other',
+      name: typeof entry.name === 'string' && entry.name ? entry.name.slice(0, 200) : id,
+      channels: Number.isInteger(channels) && channels > 0 ? channels : undefined,
+      default: entry.default === true || undefined
+    });
+  }
+  return sources;
+}
+
+function closest(values, wanted) {
+  return values.reduce((best, value) => (Math.abs(value - wanted) < Math.abs(best - wanted) ? value : best));
+}
+
+// Picks the supported format closest to what the viewer asked for. `request` is either a
+// profile name or a partial { codec, sampleRate, channels, bitrate }. Returns null when the
+// agent has nothing playable in common.
+function negotiateFormat(request, capabilities) {
+  const caps = capabilities || LEGACY_CAPABILITIES;
+  const wanted = typeof request === 'string' || !request
+    ? STREAM_PROFILES[request || DEFAULT_PROFILE]
+    : { ...STREAM_PROFILES[DEFAULT_PROFILE], ...request };
+  if (!wanted) {
+    return null;
+  }
+
+  const codecOrder = [wanted.codec, ...KNOWN_CODECS.filter((c) => c !== wanted.codec)];
+  for (const codec of codecOrder) {
+    if (!caps.codecs.includes(codec)) {
+      continue;
+    }
+    const rates = codec === 'opus' ? caps.sampleRates.filter((r) => OPUS_SAMPLE_RATES.includes(r)) : caps.sampleRates;
+    if (!rates.length) {
+      continue;
+    }
+    const format = {
+      codec,
+      sampleRate: closest(rates, wanted.sampleRate),
+      channels: closest(caps.channels, wanted.channels)
+    };
+    if (codec === 'opus' && caps.bitrates.length && wanted.bitrate) {
+      const lower = caps.bitrates.filter((b) => b <= wanted.bitrate);
+      format.bitrate = lower.length ? Math.max(...lower) : Math.min(...caps.bitrates);
+    } else if (codec === 'opus' && wanted.bitrate) {
+      format.bitrate = wanted.bitrate;
+    }
+    return format;
+  }
+  return null;
+}
+
+module.exports = {
+  STREAM_PROFILES,
+  DEFAULT_PROFILE,
+  LEGACY_CAPABILITIES,
+  normalizeCapabilities,
+  normalizeSources,
+  negotiateFormat
+};
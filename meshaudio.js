@@ -1,89 +1,462 @@
 const express = require('express');
 const cookieParser = require('cookie-parser');
 const WebSocket = require('ws');
+const { EventEmitter } = require('events');
 const { WebSocketServer } = WebSocket;
 const { v4: uuidv4 } = require('uuid');
 const http = require('http');
 const path = require('path');
+const fs = require('fs');
+const createCredentialStore = require('./credentials');
+const createRecordingStore = require('./recordings');
+const createSettingsStore = require('./settings');
+const createAuditLog = require('./audit');
+const createMetrics = require('./metrics');
+const { createViewerSendQueue, createRateLimiter } = require('./flow');
+const { STREAM_PROFILES, normalizeCapabilities, normalizeSources, negotiateFormat } = require('./formats');
+const { createMemoryStateStore, createRedisStateStore } = require('./state');
+const { createOggOpusMuxer } = require('./ogg');
+const framing = require('./web/meshaudio-framing');
+
+// MeshCentral mesh rights bit for remote control (see MESHRIGHT_REMOTECONTROL in meshcentral/webserver.js).
+const MESHRIGHT_REMOTECONTROL = 8;
+// How long another node trusts this node to hold an agent socket without a refresh.
+const AGENT_LEASE_MS = 90 * 1000;
+const BITRATE_WINDOW_MS = 2000;
+const INTERARRIVAL_BUCKETS = [0.005, 0.01, 0.02, 0.04, 0.06, 0.08, 0.1, 0.2, 0.5, 1, 2];
 
 function createMeshAudioPlugin(options = {}) {
   const {
     app,
     httpServer,
+    exclusiveUpgrades = false, // destroy websocket upgrades for other paths; for a server nothing else listens on
     agentSecret = process.env.MESHAUDIO_AGENT_SECRET || 'CHANGE_ME',
+    allowLegacyAgentSecret = process.env.MESHAUDIO_ALLOW_LEGACY_SECRET === 'true' || false,
+    credentialSecret = process.env.MESHAUDIO_CREDENTIAL_SECRET || null,
+    credentialsFile = process.env.MESHAUDIO_CREDENTIALS_FILE || null,
     tokenTtlMs = Number(process.env.MESHAUDIO_TOKEN_TTL_MS || 5 * 60 * 1000),
     allowUnauthenticated = process.env.MESHAUDIO_ALLOW_UNAUTHENTICATED === 'true' || false,
     staticDir = path.join(__dirname, 'web'),
-    maxListenersPerDevice = 1,
+    mountPath = process.env.MESHAUDIO_MOUNT_PATH || '/meshaudio', // where the router and websocket endpoints live
+    maxListenersPerDevice = Number(process.env.MESHAUDIO_MAX_LISTENERS || 1),
+    authorizeDevice = null, // (user, deviceId) => boolean | { allowed, reason } | Promise of either
+    isAdmin = (user) => Boolean(user && user.siteadmin === 0xffffffff),
+    recordingsDir = process.env.MESHAUDIO_RECORDINGS_DIR || null,
+    recordingRetentionMs = Number(process.env.MESHAUDIO_RECORDING_RETENTION_MS || 30 * 24 * 60 * 60 * 1000),
+    recordingPolicy = process.env.MESHAUDIO_RECORDING_POLICY || 'optional', // 'off' | 'optional' | 'always' | (user, deviceId, requested) => boolean
+    allowedModes = (process.env.MESHAUDIO_ALLOWED_MODES || 'wss,webrtc').split(',').map((m) => m.trim()).filter(Boolean),
+    auditFile = process.env.MESHAUDIO_AUDIT_FILE || null, // JSONL audit trail
+    auditSink = null, // (event) => void, e.g. forwarding to MeshCentral's event system
+    consentPolicy = process.env.MESHAUDIO_CONSENT_POLICY || 'off', // 'off' | 'always' | 'groups' | (user, deviceId) => boolean | Promise
+    consentGroups = (process.env.MESHAUDIO_CONSENT_GROUPS || '').split(',').map((g) => g.trim()).filter(Boolean),
+    consentTimeoutMs = Number(process.env.MESHAUDIO_CONSENT_TIMEOUT_MS || 30 * 1000),
+    resolveDeviceGroup = null, // (deviceId) => group id | Promise, needed for the 'groups' consent policy
+    describeUser = (user) => (user && (user.name || user._id)) || 'anonymous', // name shown to the user at the device
+    settingsFile = process.env.MESHAUDIO_SETTINGS_FILE || null, // where admin panel changes to the runtime settings are saved
+    metricsToken = process.env.MESHAUDIO_METRICS_TOKEN || null, // bearer token for /metrics scrapers; without one it is admin-only
+    viewerMaxBufferedBytes = Number(process.env.MESHAUDIO_VIEWER_MAX_BUFFERED_BYTES || Infinity), // cap on the socket buffer, which otherwise holds viewerMaxDelayMs of audio
+    viewerMaxDelayMs = Number(process.env.MESHAUDIO_VIEWER_MAX_DELAY_MS || 1000), // older queued frames are dropped
+    viewerStallTimeoutMs = Number(process.env.MESHAUDIO_VIEWER_STALL_TIMEOUT_MS || 10 * 1000),
+    viewerResumeGraceMs = Number(process.env.MESHAUDIO_VIEWER_RESUME_GRACE_MS || 15 * 1000), // how long a dropped listener is held for; 0 disables resume
+    agentMaxBytesPerSecond = Number(process.env.MESHAUDIO_AGENT_MAX_BYTES_PER_SEC || 512 * 1024),
+    agentMaxFramesPerSecond = Number(process.env.MESHAUDIO_AGENT_MAX_FRAMES_PER_SEC || 400),
+    stateStore = null, // see state.js; defaults to Redis when redisUrl is set, else in-memory
+    redisUrl = process.env.MESHAUDIO_REDIS_URL || null,
+    nodeId = process.env.MESHAUDIO_NODE_ID || uuidv4(),
     logger = console
   } = options;
 
   if (!app || !httpServer) {
     throw new Error('app and httpServer are required');
   }
+  const mount = `/${String(mountPath).replace(/^\/+|\/+$/g, '')}`;
+  if (mount === '/') {
+    throw new Error('mountPath must not be the site root');
+  }
 
   const router = express.Router();
   router.use(express.json());
   router.use(cookieParser());
   router.use('/client', express.static(staticDir));
+  const vendorDir = resolveVendorDir(logger);
+  if (vendorDir) {
+    router.use('/client/vendor', express.static(vendorDir));
+  }
 
   const agents = new Map(); // deviceId -> ws
-  const sessions = new Map(); // sessionId -> { deviceId, token, userId, expiresAt }
-  const viewers = new Map(); // sessionId -> ws
-  const activeSessionByDevice = new Map(); // deviceId -> sessionId
+  const sessions = new Map(); // sessionId -> { deviceId, token, userId, createdAt, expiresAt, record }, cached from the state store
+  const viewers = new Map(); // sessionId -> ws, or a remote viewer proxy when the agent is on this node
+  const listenersByDevice = new Map(); // deviceId -> Set<sessionId>
+  const talkerByDevice = new Map(); // deviceId -> sessionId currently talking back
+  const formatByDevice = new Map(); // deviceId -> negotiated stream format
+  const sourceByDevice = new Map(); // deviceId -> audio source the agent is streaming, when one was chosen
+  const relayEnabledByDevice = new Map(); // deviceId -> whether the agent should send 0x1 frames to the relay
+  const e2eDevices = new Set(); // deviceIds whose stream is end-to-end encrypted (see web/meshaudio-e2e.js)
   const heartbeats = new Set();
+  const credentials = createCredentialStore({ file: credentialsFile, secret: credentialSecret, logger });
+  const recordings = recordingsDir ? createRecordingStore({ dir: recordingsDir, retentionMs: recordingRetentionMs, logger }) : null;
+  const recorders = new Map(); // sessionId -> active recording
+  const heldListeners = new Map(); // sessionId -> { deviceId, timer, reason }, listeners waiting for their viewer to reconnect
+  const pendingConsents = new Map(); // sessionId -> { deviceId, ws, msg, timer } while the device user decides
+  const lastFrameAtByDevice = new Map(); // deviceId -> arrival time of the previous relayed frame
+  const startedAt = Date.now();
+  const metrics = createMetrics();
+  const tokensIssued = metrics.counter('tokens_issued_total', 'Viewer tokens issued');
+  const authFailures = metrics.counter('auth_failures_total', 'Rejected agent and viewer websocket upgrades');
+  const sessionsExpired = metrics.counter('sessions_expired_total', 'Sessions removed after their token expired');
+  const heartbeatTerminations = metrics.counter('heartbeat_terminations_total', 'Sockets terminated for missing heartbeats');
+  const relayedFrames = metrics.counter('relayed_frames_total', 'Audio frames received from agents while a stream was active');
+  const relayedBytes = metrics.counter('relayed_bytes_total', 'Audio bytes sent to viewers');
+  const droppedFrames = metrics.counter('dropped_frames_total', 'Frames dropped for slow viewers, agents over their rate limit, or framing errors');
+  // One series per connected agent, so a single jittery device stands out; dropped when it disconnects.
+  const frameInterarrival = metrics.histogram('frame_interarrival_seconds', 'Time between consecutive audio frames of a device stream, by device', INTERARRIVAL_BUCKETS);
+  metrics.gauge('agents_connected', 'Agents connected to this node', () => agents.size);
+  metrics.gauge('viewers_connected', 'Viewers connected to this node, plus proxies for viewers on other nodes', () => viewers.size);
+  metrics.gauge('active_streams', 'Devices currently streaming', () => listenersByDevice.size);
+  metrics.gauge('listeners', 'Listeners across all active streams', () => [...listenersByDevice.values()].reduce((sum, set) => sum + set.size, 0));
+  const audit = createAuditLog({ file: auditFile, sink: auditSink, logger });
+  const settings = createSettingsStore({
+    file: settingsFile,
+    defaults: { tokenTtlMs, maxListenersPerDevice, recordingPolicy, allowedModes, consentPolicy, consentGroups },
+    logger
+  });
+  const state = stateStore || (redisUrl ? createRedisStateStore({ url: redisUrl, logger }) : createMemoryStateStore());
+  const unsubscribe = state.subscribe(nodeId, (msg) => onBusMessage(msg));
 
-  if (agentSecret === 'CHANGE_ME') {
+  if (allowLegacyAgentSecret && agentSecret === 'CHANGE_ME') {
     logger.warn ? logger.warn('MeshAudio agent secret is default; set MESHAUDIO_AGENT_SECRET') : logger.log('MeshAudio agent secret is default; set MESHAUDIO_AGENT_SECRET');
   }
 
-  router.get('/healthz', (_req, res) => res.json({ status: 'ok' }));
+  // Readiness: 503 when the state store cannot be reached or the recordings directory is not writable.
+  router.get('/healthz', async (_req, res) => {
+    const checks = { stateStore: 'ok', recordings: recordings ? 'ok' : 'disabled', wasmDecoder: vendorDir ? 'ok' : 'unavailable' };
+    try {
+      await Promise.race([
+        state.ping(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 2000).unref())
+      ]);
+    } catch (err) {
+      checks.stateStore = `error: ${err.message}`;
+    }
+    if (recordings) {
+      try {
+        fs.accessSync(recordingsDir, fs.constants.W_OK);
+      } catch (err) {
+        checks.recordings = `error: ${err.code || err.message}`;
+      }
+    }
+    const ready = !Object.values(checks).some((value) => value.startsWith('error'));
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ok' : 'unavailable',
+      node: nodeId,
+      uptimeMs: Date.now() - startedAt,
+      checks,
+      agents: agents.size,
+      viewers: viewers.size,
+      streams: listenersByDevice.size
+    });
+  });
+
+  // The series are labelled with device ids, so scrapes need the token or an administrator.
+  function requireMetricsAuth(req, res, next) {
+    if (!metricsToken) {
+      return requireAdmin(req, res, next);
+    }
+    if (req.headers.authorization !== `Bearer ${metricsToken}`) {
+      return res.status(401).type('text/plain').send('unauthorized\n');
+    }
+    return next();
+  }
+
+  router.get('/metrics', requireMetricsAuth, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+  });
 
-  router.post('/token', requireAuth, (req, res) => {
+  router.post('/token', requireAuth, async (req, res) => {
     const { deviceId } = req.body || {};
     if (!deviceId) {
       return res.status(400).json({ error: 'deviceId required' });
     }
 
+    const user = resolveUser(req);
+    if (authorizeDevice) {
+      let verdict;
+      try {
+        verdict = normalizeVerdict(await authorizeDevice(user, deviceId));
+      } catch (err) {
+        logger.error ? logger.error('MeshAudio authorization failed', err) : logger.log('MeshAudio authorization failed', err);
+        return res.status(500).json({ error: 'authorization failed' });
+      }
+      if (!verdict.allowed) {
+        return res.status(403).json({ error: 'forbidden', reason: verdict.reason || 'not authorized for this device' });
+      }
+    }
+
+    let record;
+    try {
+      record = shouldRecord(user, deviceId, req.body.record === true);
+    } catch (err) {
+      logger.error ? logger.error('MeshAudio recording policy failed', err) : logger.log('MeshAudio recording policy failed', err);
+      return res.status(500).json({ error: 'recording policy failed' });
+    }
+    if (req.body.record === true && !record) {
+      return res.status(400).json({ error: 'recording not available' });
+    }
+
     const sessionId = uuidv4();
     const token = uuidv4();
-    const userId = (req.user && req.user._id) || 'anonymous';
-    const expiresAt = Date.now() + tokenTtlMs;
+    const userId = (user && user._id) || 'anonymous';
+    const createdAt = Date.now();
+    const expiresAt = createdAt + settings.get().tokenTtlMs;
+    const consent = await requiresConsent(user, deviceId);
+    const session = { deviceId, token, userId, userName: describeUser(user), createdAt, expiresAt, record, consent };
+
+    try {
+      await state.saveSession(sessionId, session);
+    } catch (err) {
+      logger.error ? logger.error('MeshAudio could not store session', err) : logger.log('MeshAudio could not store session', err);
+      return res.status(503).json({ error: 'session store unavailable' });
+    }
+    sessions.set(sessionId, session);
+    tokensIssued.inc();
+    audit.record('token_issued', { sessionId, deviceId, userId, ip: req.ip, record, consent });
+
+    res.json({ sessionId, token, expiresAt, record, consent });
+  });
+
+  router.get('/recordings', requireAuth, async (req, res) => {
+    if (!recordings) {
+      return res.status(404).json({ error: 'recording disabled' });
+    }
+    const user = resolveUser(req);
+    const result = [];
+    for (const meta of recordings.list()) {
+      if (req.query.deviceId && meta.deviceId !== req.query.deviceId) {
+        continue;
+      }
+      if (await canAccessDevice(user, meta.deviceId)) {
+        result.push(meta);
+      }
+    }
+    res.json({ recordings: result });
+  });
+
+  router.get('/recordings/:id', requireAuth, async (req, res) => {
+    const meta = recordings ? recordings.get(req.params.id) : null;
+    if (!meta || !(await canAccessDevice(resolveUser(req), meta.deviceId))) {
+      return res.status(404).json({ error: 'recording not found' });
+    }
+    res.type('audio/ogg');
+    res.download(recordings.audioPath(meta.id), `${meta.id}.opus`);
+  });
+
+  // Anyone who may listen to the device may delete its recordings, as with downloads.
+  router.delete('/recordings/:id', requireAuth, async (req, res) => {
+    const meta = recordings ? recordings.get(req.params.id) : null;
+    if (!meta || !(await canAccessDevice(resolveUser(req), meta.deviceId)) || !recordings.remove(meta.id)) {
+      return res.status(404).json({ error: 'recording not found' });
+    }
+    audit.record('recording_deleted', { recordingId: meta.id, sessionId: meta.sessionId, deviceId: meta.deviceId, userId: userIdOf(req) });
+    res.json({ id: meta.id, deleted: true });
+  });
+
+  // Live Ogg Opus for players that cannot speak the view protocol (<audio>, VLC, ffmpeg).
+  // Authenticated by the session token like the viewer socket, not by a login cookie.
+  router.get('/stream/:sessionId.ogg', (req, res) => openHttpStream(req, res));
+
+  router.get('/admin/credentials', requireAdmin, (_req, res) => {
+    res.json({ credentials: credentials.list() });
+  });
+
+  // Issues a credential for a device, or rotates it if one exists. The previous credential stops working.
+  router.post('/admin/credentials', requireAdmin, (req, res) => {
+    const { deviceId } = req.body || {};
+    if (!deviceId) {
+      return res.status(400).json({ error: 'deviceId required' });
+    }
+    res.json(credentials.issue(deviceId));
+  });
+
+  router.delete('/admin/credentials/:deviceId', requireAdmin, async (req, res) => {
+    const { deviceId } = req.params;
+    if (!credentials.revoke(deviceId)) {
+      return res.status(404).json({ error: 'no credential for device' });
+    }
+    const agent = agents.get(deviceId);
+    if (agent) {
+      agent.closeReason = 'credential revoked';
+      agent.close(1008, agent.closeReason);
+    } else {
+      const owner = await locateAgent(deviceId).catch(() => null);
+      if (owner) {
+        publish(owner, { type: 'agent_close', deviceId, code: 1008, reason: 'credential revoked' });
+      }
+    }
+    res.json({ deviceId, revoked: true });
+  });
+
+  // The admin panel page; MeshCentral's plugin admin hook redirects its iframe here.
+  router.get('/admin', requireAdmin, (_req, res) => {
+    res.sendFile(path.join(staticDir, 'admin.html'));
+  });
+
+  router.get('/admin/settings', requireAdmin, (_req, res) => {
+    res.json({ settings: settings.describe() });
+  });
+
+  router.put('/admin/settings', requireAdmin, (req, res) => {
+    try {
+      settings.update(req.body || {});
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    audit.record('settings_changed', { userId: userIdOf(req), changes: req.body });
+    res.json({ settings: settings.describe() });
+  });
+
+  router.get('/admin/events', requireAdmin, (_req, res) => {
+    res.json({ node: nodeId, events: audit.recent() });
+  });
+
+  // Audit query: ?deviceId=&userId=&type=&from=&to= (ms timestamps or ISO dates) &limit=
+  router.get('/admin/audit', requireAdmin, async (req, res) => {
+    const { deviceId, userId, type } = req.query;
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    const limit = Math.min(Number(req.query.limit) || 500, 5000);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: 'from and to must be timestamps or ISO dates' });
+    }
+    try {
+      res.json({ events: await audit.query({ deviceId, userId, type, from, to, limit }) });
+    } catch (err) {
+      logger.error ? logger.error('MeshAudio audit query failed', err) : logger.log('MeshAudio audit query failed', err);
+      res.status(500).json({ error: 'audit query failed' });
+    }
+  });
+
+  // Live state is per node: agents connected here and sessions this node has issued or served.
+  router.get('/admin/agents', requireAdmin, (_req, res) => {
+    const result = [];
+    for (const [deviceId, ws] of agents) {
+      const listeners = listenersByDevice.get(deviceId);
+      result.push({
+        deviceId,
+        connectedAt: ws.connectedAt,
+        remoteAddress: ws.remoteAddress,
+        lastHeartbeat: ws.lastHeartbeat,
+        listeners: listeners ? listeners.size : 0
+      });
+    }
+    res.json({ node: nodeId, agents: result });
+  });
+
+  router.delete('/admin/agents/:deviceId', requireAdmin, async (req, res) => {
+    const { deviceId } = req.params;
+    const agent = agents.get(deviceId);
+    if (agent) {
+      agent.closeReason = 'disconnected by administrator';
+      agent.close(4001, agent.closeReason);
+      audit.record('agent_kicked', { deviceId, userId: userIdOf(req) });
+      return res.json({ deviceId, disconnected: true, node: nodeId });
+    }
+    const owner = await locateAgent(deviceId).catch(() => null);
+    if (!owner) {
+      return res.status(404).json({ error: 'agent not connected' });
+    }
+    publish(owner, { type: 'agent_close', deviceId, code: 4001, reason: 'disconnected by administrator' });
+    audit.record('agent_kicked', { deviceId, userId: userIdOf(req), node: owner });
+    res.json({ deviceId, disconnected: true, node: owner });
+  });
 
-    sessions.set(sessionId, { deviceId, token, userId, expiresAt });
+  router.get('/admin/sessions', requireAdmin, (_req, res) => {
+    const result = [];
+    for (const [sessionId, session] of sessions) {
+      result.push({
+        sessionId,
+        userId: session.userId,
+        deviceId: session.deviceId,
+        createdAt: session.createdAt || null,
+        expiresAt: session.expiresAt,
+        state: sessionState(sessionId, session),
+        transport: session.transport || null,
+        e2e: Boolean(session.e2eKey),
+        record: Boolean(session.record),
+        bytes: session.bytes || 0,
+        bitrate: currentBitrate(session)
+      });
+    }
+    res.json({ node: nodeId, sessions: result });
+  });
 
-    res.json({ sessionId, token, expiresAt });
+  // Ends a session for good: the viewer is closed, the agent told to stop (or drop the
+  // listener), and the token revoked so the viewer cannot reconnect with it.
+  router.delete('/admin/sessions/:sessionId', requireAdmin, async (req, res) => {
+    const { sessionId } = req.params;
+    let session;
+    try {
+      session = await loadSession(sessionId);
+    } catch (err) {
+      logStateError(err);
+      return res.status(503).json({ error: 'session store unavailable' });
+    }
+    if (!session) {
+      return res.status(404).json({ error: 'session not found' });
+    }
+    const viewer = viewers.get(sessionId);
+    if (viewer) {
+      viewer.close(4001, 'session stopped by administrator');
+    }
+    removeListener(session.deviceId, sessionId, 'admin_stop');
+    sessions.delete(sessionId);
+    state.deleteSession(sessionId).catch(logStateError);
+    audit.record('session_kicked', { sessionId, deviceId: session.deviceId, userId: session.userId, by: userIdOf(req) });
+    res.json({ sessionId, stopped: true });
   });
 
-  app.use('/meshaudio', router);
+  app.use(mount, router);
 
   const agentWss = new WebSocketServer({ noServer: true });
   const viewerWss = new WebSocketServer({ noServer: true });
 
-  httpServer.on('upgrade', (req, socket, head) => {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    if (url.pathname === '/meshaudio/agent') {
+  // Other upgrade listeners on the host server (MeshCentral's own websockets) see every
+  // request too, so paths outside the plugin are left for them.
+  function onUpgrade(req, socket, head) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === `${mount}/agent`) {
       agentWss.handleUpgrade(req, socket, head, (ws) => {
         agentWss.emit('connection', ws, req);
       });
-    } else if (url.pathname === '/meshaudio/view') {
+    } else if (pathname === `${mount}/view`) {
       viewerWss.handleUpgrade(req, socket, head, (ws) => {
         viewerWss.emit('connection', ws, req);
       });
-    } else {
+    } else if (exclusiveUpgrades) {
+      // Nobody else will answer, and an unanswered upgrade hangs until the client gives up.
       socket.destroy();
     }
-  });
+  }
+  httpServer.on('upgrade', onUpgrade);
 
   agentWss.on('connection', (ws, req) => onAgentConnected(ws, req));
   viewerWss.on('connection', (ws, req) => onViewerConnected(ws, req));
 
-  setInterval(() => cleanupExpiredSessions(), 60 * 1000);
-  setInterval(() => pingAll(), 30 * 1000);
+  const timers = [
+    setInterval(() => cleanupExpiredSessions(), 60 * 1000),
+    setInterval(() => {
+      pingAll();
+      refreshAgentLeases();
+    }, 30 * 1000)
+  ];
+  if (recordings) {
+    timers.push(setInterval(() => recordings.prune(), 60 * 60 * 1000));
+  }
+  let closing = null;
 
   function pingAll() {
     for (const ws of heartbeats) {
       if (ws.isAlive === false) {
+        heartbeatTerminations.inc({ role: ws.role });
         ws.terminate();
         heartbeats.delete(ws);
         continue;
@@ -93,6 +466,54 @@ function createMeshAudioPlugin(options = {}) {
     }
   }
 
+  function refreshAgentLeases() {
+    for (const deviceId of agents.keys()) {
+      state.setAgentNode(deviceId, nodeId, AGENT_LEASE_MS).catch(logStateError);
+    }
+  }
+
+  function logStateError(err) {
+    logger.error ? logger.error('MeshAudio state store error', err) : logger.log('MeshAudio state store error', err);
+  }
+
+  function publish(targetNode, message) {
+    state.publish(targetNode, { ...message, from: nodeId }).catch(logStateError);
+  }
+
+  // Resolves to the node holding the device's agent socket, or null when it is this node or unknown.
+  async function locateAgent(deviceId) {
+    if (agents.has(deviceId)) {
+      return null;
+    }
+    const owner = await state.getAgentNode(deviceId);
+    return owner && owner !== nodeId ? owner : null;
+  }
+
+  async function loadSession(sessionId) {
+    if (!sessionId) {
+      return null;
+    }
+    if (!sessions.has(sessionId)) {
+      const stored = await state.loadSession(sessionId);
+      if (stored && !sessions.has(sessionId)) {
+        sessions.set(sessionId, stored);
+      }
+    }
+    return sessions.get(sessionId) || null;
+  }
+
+  // Queues messages that arrive while a viewer is still being looked up; call the returned
+  // function once the real handlers are attached to replay them in order.
+  function holdMessages(ws) {
+    const held = [];
+    const hold = (data, isBinary) => held.push([data, isBinary]);
+    ws.on('message', hold);
+    return () => {
+      ws.off('message', hold);
+      held.forEach(([data, isBinary]) => ws.emit('message', data, isBinary));
+    };
+  }
+
   function requireAuth(req, res, next) {
     if (allowUnauthenticated) {
       return next();
@@ -104,17 +525,235 @@ function createMeshAudioPlugin(options = {}) {
     return next();
   }
 
-  function attachHeartbeat(ws) {
+  function requireAdmin(req, res, next) {
+    if (allowUnauthenticated) {
+      return next();
+    }
+
+    const user = resolveUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'auth required' });
+    }
+    if (!isAdmin(user)) {
+      return res.status(403).json({ error: 'forbidden', reason: 'administrator rights required' });
+    }
+    return next();
+  }
+
+  function resolveUser(req) {
+    if (req.user) {
+      return req.user;
+    }
+    if (req.session && req.session.userid) {
+      return { _id: req.session.userid };
+    }
+    return null;
+  }
+
+  function normalizeVerdict(verdict) {
+    if (verdict && typeof verdict === 'object') {
+      return { allowed: verdict.allowed === true, reason: verdict.reason };
+    }
+    return { allowed: verdict === true };
+  }
+
+  async function canAccessDevice(user, deviceId) {
+    if (allowUnauthenticated || isAdmin(user) || !authorizeDevice) {
+      return true;
+    }
+    try {
+      return normalizeVerdict(await authorizeDevice(user, deviceId)).allowed;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function shouldRecord(user, deviceId, requested) {
+    if (!recordings) {
+      return false;
+    }
+    const policy = settings.get().recordingPolicy;
+    if (typeof policy === 'function') {
+      return Boolean(policy(user, deviceId, requested));
+    }
+    if (policy === 'always') {
+      return true;
+    }
+    return policy === 'optional' && requested;
+  }
+
+  async function requiresConsent(user, deviceId) {
+    const { consentPolicy: policy, consentGroups: groups } = settings.get();
+    try {
+      if (typeof policy === 'function') {
+        return Boolean(await policy(user, deviceId));
+      }
+      if (policy === 'always') {
+        return true;
+      }
+      if (policy !== 'groups' || !groups.length) {
+        return false;
+      }
+      if (!resolveDeviceGroup) {
+        logger.warn ? logger.warn('MeshAudio consent policy "groups" needs resolveDeviceGroup; asking for consent') : logger.log('MeshAudio consent policy "groups" needs resolveDeviceGroup; asking for consent');
+        return true;
+      }
+      return groups.includes(await resolveDeviceGroup(deviceId));
+    } catch (err) {
+      // When in doubt, ask the user at the device.
+      logger.error ? logger.error('MeshAudio consent policy failed', err) : logger.log('MeshAudio consent policy failed', err);
+      return true;
+    }
+  }
+
+  function startRecording(sessionId, session, format) {
+    if (!session.record || recorders.has(sessionId)) {
+      return;
+    }
+    if (format.codec !== 'opus') {
+      logger.warn ? logger.warn(`MeshAudio: not recording ${sessionId}, ${format.codec} streams cannot be stored as Ogg Opus`) : logger.log(`MeshAudio: not recording ${sessionId}, ${format.codec} streams cannot be stored as Ogg Opus`);
+      return;
+    }
+    recorders.set(sessionId, recordings.open({
+      id: uuidv4(),
+      sessionId,
+      deviceId: session.deviceId,
+      userId: session.userId,
+      channels: format.channels
+    }));
+  }
+
+  function stopRecording(sessionId) {
+    const recorder = recorders.get(sessionId);
+    if (recorder) {
+      recorder.close();
+      recorders.delete(sessionId);
+    }
+  }
+
+  function attachHeartbeat(ws, role) {
+    ws.role = role;
     ws.isAlive = true;
+    ws.lastHeartbeat = Date.now();
     heartbeats.add(ws);
     ws.on('pong', () => {
       ws.isAlive = true;
+      ws.lastHeartbeat = Date.now();
     });
     ws.on('close', () => {
       heartbeats.delete(ws);
     });
   }
 
+  // Picks the framing version for a socket from the versions its peer offered in a hello.
+  function negotiateFraming(ws, offered) {
+    const version = framing.negotiate(offered);
+    if (version === null) {
+      sendProtocolError(ws, `no common framing version (offered ${JSON.stringify(offered)})`);
+      ws.close(4004, 'unsupported protocol version');
+      return null;
+    }
+    ws.frameVersion = version;
+    return version;
+  }
+
+  function sendProtocolError(ws, reason) {
+    const error = { scope: 'protocol', reason, versions: framing.VERSIONS };
+    ws.send(JSON.stringify(ws.role === 'agent' ? { action: 'error', ...error } : { type: 'error', ...error }));
+  }
+
+  // Decodes a binary frame and answers the connection-level types (keepalive, clock sync)
+  // itself. Returns stream frames for the caller, or null.
+  function readFrame(ws, data) {
+    const receivedAt = Date.now();
+    let frame;
+    try {
+      frame = framing.decode(data);
+    } catch (err) {
+      droppedFrames.inc({ reason: err.code === 'unsupported_version' ? 'unsupported_version' : 'malformed' });
+      if (err.code === 'unsupported_version' && !ws.versionErrorSent) {
+        // Reported once per socket; a peer that ignores it would otherwise get one per frame.
+        ws.versionErrorSent = true;
+        sendProtocolError(ws, err.message);
+      }
+      return null;
+    }
+    if (frame.type === framing.FRAME_TYPES.KEEPALIVE) {
+      ws.isAlive = true;
+      ws.lastHeartbeat = receivedAt;
+      return null;
+    }
+    if (frame.type === framing.FRAME_TYPES.CLOCK_SYNC) {
+      if (!(frame.flags & framing.FLAGS.RESPONSE)) {
+        ws.send(framing.encode({
+          version: frame.version,
+          type: framing.FRAME_TYPES.CLOCK_SYNC,
+          originateMs: frame.timestampMs,
+          receiveMs: receivedAt,
+          timestampMs: Date.now()
+        }), { binary: true });
+      }
+      return null;
+    }
+    return frame;
+  }
+
+  function sessionState(sessionId, session) {
+    if (session.expiresAt < Date.now()) {
+      return 'expired';
+    }
+    if (heldListeners.has(sessionId)) {
+      return 'reconnecting';
+    }
+    const listeners = listenersByDevice.get(session.deviceId);
+    if (listeners && listeners.has(sessionId)) {
+      return talkerByDevice.get(session.deviceId) === sessionId ? 'talking' : 'listening';
+    }
+    const viewer = viewers.get(sessionId);
+    if (viewer) {
+      return viewer.bridgedTo ? 'bridged' : 'connected';
+    }
+    return 'issued';
+  }
+
+  // Byte counts also feed a bitrate measured over fixed windows, so the admin panel can show a live rate.
+  function countBytes(sessionId, length) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+    const now = Date.now();
+    session.bytes = (session.bytes || 0) + length;
+    if (!session.window) {
+      session.window = { start: now, bytes: 0 };
+    }
+    session.window.bytes += length;
+    if (now - session.window.start >= BITRATE_WINDOW_MS) {
+      session.bitrate = Math.round((session.window.bytes * 8 * 1000) / (now - session.window.start));
+      session.window = { start: now, bytes: 0 };
+    }
+  }
+
+  function currentBitrate(session) {
+    // A window left open for two periods means the stream has gone quiet.
+    if (!session.window || Date.now() - session.window.start > 2 * BITRATE_WINDOW_MS) {
+      return 0;
+    }
+    return session.bitrate || 0;
+  }
+
+  function parseTime(value) {
+    if (value === undefined || value === '') {
+      return undefined;
+    }
+    return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  }
+
+  function userIdOf(req) {
+    const user = resolveUser(req);
+    return (user && user._id) || 'anonymous';
+  }
+
   function cleanupExpiredSessions() {
     const now = Date.now();
     for (const [sessionId, session] of sessions) {
@@ -123,11 +762,10 @@ function createMeshAudioPlugin(options = {}) {
         if (viewer) {
           viewer.close(4000, 'session expired');
         }
-        if (activeSessionByDevice.get(session.deviceId) === sessionId) {
-          activeSessionByDevice.delete(session.deviceId);
-          sendToAgent(session.deviceId, { action: 'stop' });
-        }
+        removeListener(session.deviceId, sessionId, 'expired');
         sessions.delete(sessionId);
+        sessionsExpired.inc();
+        state.deleteSession(sessionId).catch(logStateError);
       }
     }
   }
@@ -137,34 +775,59 @@ function createMeshAudioPlugin(options = {}) {
     const token = url.searchParams.get('token') || req.headers['x-meshaudio-token'];
     const deviceId = url.searchParams.get('deviceId') || req.headers['x-meshaudio-device'];
 
-    if (!deviceId || (agentSecret && token !== agentSecret)) {
+    if (!deviceId || !authenticateAgent(deviceId, token)) {
+      authFailures.inc({ role: 'agent' });
       ws.close(1008, 'unauthorized');
       return;
     }
 
     const existing = agents.get(deviceId);
     if (existing) {
+      audit.record('agent_disconnected', { deviceId, reason: 'displaced' });
+      // The new socket knows nothing of the old one's stream, so its listeners start again.
+      endAgentStreams(deviceId, 'displaced');
       existing.terminate();
     }
 
+    ws.connectedAt = Date.now();
+    ws.frameVersion = 0;
+    ws.remoteAddress = req.socket.remoteAddress;
     agents.set(deviceId, ws);
-    attachHeartbeat(ws);
+    attachHeartbeat(ws, 'agent');
+    claimAgent(deviceId);
     logger.info ? logger.info(`Agent connected: ${deviceId}`) : logger.log(`Agent connected: ${deviceId}`);
+    audit.record('agent_connected', { deviceId, ip: ws.remoteAddress });
     ws.on('close', () => {
-      agents.delete(deviceId);
-      const activeSession = activeSessionByDevice.get(deviceId);
-      if (activeSession) {
-        activeSessionByDevice.delete(deviceId);
-        const viewer = viewers.get(activeSession);
-        if (viewer) {
-          viewer.send(JSON.stringify({ type: 'status', state: 'agent_disconnected' }));
-        }
+      if (agents.get(deviceId) !== ws) {
+        return;
       }
+      agents.delete(deviceId);
+      frameInterarrival.remove({ device: deviceId });
+      audit.record('agent_disconnected', { deviceId, reason: ws.closeReason });
+      state.clearAgentNode(deviceId, nodeId).catch(logStateError);
+      endAgentStreams(deviceId, ws.closeReason);
     });
 
+    const allowFrame = createRateLimiter({ bytesPerSecond: agentMaxBytesPerSecond, framesPerSecond: agentMaxFramesPerSecond, burstSeconds: 2 });
     ws.on('message', (data, isBinary) => {
       if (isBinary) {
-        forwardAudio(deviceId, data);
+        if (!allowFrame(data.length)) {
+          droppedFrames.inc({ reason: 'agent_rate_limit' });
+          if (!ws.throttleWarnedAt || Date.now() - ws.throttleWarnedAt > 60 * 1000) {
+            ws.throttleWarnedAt = Date.now();
+            logger.warn ? logger.warn(`Agent ${deviceId} exceeds the relay rate limit; dropping frames`) : logger.log(`Agent ${deviceId} exceeds the relay rate limit; dropping frames`);
+          }
+          return;
+        }
+        const frame = readFrame(ws, data);
+        if (!frame) {
+          return;
+        }
+        if (frame.type === framing.FRAME_TYPES.AUDIO) {
+          forwardAudio(deviceId, frame, data);
+        } else if (frame.type === framing.FRAME_TYPES.END_OF_STREAM) {
+          relayFrame(deviceId, frame, data);
+        }
         return;
       }
 
@@ -175,112 +838,1083 @@ function createMeshAudioPlugin(options = {}) {
         return;
       }
 
-      const sessionId = activeSessionByDevice.get(deviceId);
-      if (sessionId && viewers.has(sessionId)) {
-        viewers.get(sessionId).send(JSON.stringify(msg));
+      if (msg.type === 'signal') {
+        // WebRTC signaling is addressed to one listener, never broadcast.
+        const viewer = viewers.get(msg.sessionId);
+        const listeners = listenersByDevice.get(deviceId);
+        if (viewer && listeners && listeners.has(msg.sessionId) && viewer.readyState === WebSocket.OPEN) {
+          viewer.send(JSON.stringify({ type: 'signal', data: msg.data }));
+        }
+        return;
       }
-    });
-  }
-
-  function onViewerConnected(ws, req) {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const sessionId = url.searchParams.get('sessionId');
-    const token = url.searchParams.get('token');
-
-    const session = sessionId ? sessions.get(sessionId) : null;
-    if (!session || session.token !== token || session.expiresAt < Date.now()) {
-      ws.close(1008, 'invalid session');
-      return;
-    }
-
-    const deviceId = session.deviceId;
-    viewers.set(sessionId, ws);
-    attachHeartbeat(ws);
 
-    ws.on('close', () => {
-      viewers.delete(sessionId);
-      const activeSession = activeSessionByDevice.get(deviceId);
-      if (activeSession === sessionId) {
-        activeSessionByDevice.delete(deviceId);
-        sendToAgent(deviceId, { action: 'stop' });
+      if (msg.type === 'consent') {
+        handleConsentReply(deviceId, msg);
+        return;
       }
-    });
 
-    ws.on('message', (data) => {
-      let msg;
-      try {
-        msg = JSON.parse(data.toString('utf8'));
-      } catch (err) {
+      if (msg.type === 'e2e_key') {
+        // Wrapped for one listener; no other viewer could unwrap it.
+        const viewer = viewers.get(msg.sessionId);
+        const listeners = listenersByDevice.get(deviceId);
+        if (viewer && listeners && listeners.has(msg.sessionId) && viewer.readyState === WebSocket.OPEN) {
+          const { publicKey, keyId, salt, iv, wrappedKey } = msg;
+          viewer.send(JSON.stringify({ type: 'e2e_key', publicKey, keyId, salt, iv, wrappedKey }));
+        }
         return;
       }
 
-      if (msg.action === 'start') {
-        const current = activeSessionByDevice.get(deviceId);
-        if (current && current !== sessionId) {
-          if (maxListenersPerDevice <= 1) {
-            ws.send(JSON.stringify({ type: 'error', reason: 'another listener is active' }));
-            return;
-          }
+      if (msg.type === 'hello') {
+        const version = negotiateFraming(ws, msg.versions);
+        if (version !== null) {
+          ws.send(JSON.stringify({ action: 'hello', version }));
         }
+        return;
+      }
+
+      if (msg.type === 'sources') {
+        // Sent in reply to list_sources, or on its own when the device's sources change.
+        ws.sources = normalizeSources(msg.sources);
+        sendToViewers(deviceId, { type: 'sources', sources: ws.sources, sourceId: sourceByDevice.get(deviceId) });
+        return;
+      }
 
-        activeSessionByDevice.set(deviceId, sessionId);
-        const sent = sendToAgent(deviceId, { action: 'start', sessionId, mode: msg.mode || 'wss' });
-        if (!sent) {
-          ws.send(JSON.stringify({ type: 'error', reason: 'agent not connected' }));
+      if (msg.type === 'capabilities') {
+        ws.capabilities = normalizeCapabilities(msg);
+        if (!ws.capabilities) {
+          logger.warn ? logger.warn(`Agent ${deviceId} sent unusable capabilities`) : logger.log(`Agent ${deviceId} sent unusable capabilities`);
         }
-      } else if (msg.action === 'stop') {
-        activeSessionByDevice.delete(deviceId);
-        sendToAgent(deviceId, { action: 'stop' });
-      } else if (msg.action === 'status') {
-        sendToAgent(deviceId, { action: 'status' });
+        return;
       }
-    });
 
-    ws.send(JSON.stringify({
-      type: 'viewer_connected',
-      deviceId,
-      sessionId,
-      agent: agents.has(deviceId) ? 'online' : 'offline'
-    }));
+      sendToListeners(deviceId, msg);
+    });
   }
 
-  function sendToAgent(deviceId, payload) {
-    const ws = agents.get(deviceId);
-    if (!ws || ws.readyState !== WebSocket.OPEN) {
-      return false;
+  // Ends everything the device's agent socket was doing for viewers: pending consent requests
+  // and the stream with its listeners.
+  function endAgentStreams(deviceId, reason) {
+    for (const [sessionId, pending] of pendingConsents) {
+      if (pending.deviceId === deviceId) {
+        clearTimeout(pending.timer);
+        pendingConsents.delete(sessionId);
+        pending.ws.send(JSON.stringify({ type: 'error', scope: 'consent', reason: 'agent disconnected before the user at the device answered' }));
+      }
+    }
+    const listeners = listenersByDevice.get(deviceId);
+    if (listeners) {
+      sendToListeners(deviceId, { type: 'status', state: 'agent_disconnected', reason });
+      listeners.forEach((sessionId) => {
+        releaseHeldListener(sessionId);
+        stopRecording(sessionId);
+        auditStreamStopped(sessionId, reason || 'agent_disconnected');
+        const session = sessions.get(sessionId);
+        if (session) {
+          session.e2eKey = null;
+        }
+      });
+      listenersByDevice.delete(deviceId);
+      talkerByDevice.delete(deviceId);
+      formatByDevice.delete(deviceId);
+      sourceByDevice.delete(deviceId);
+      e2eDevices.delete(deviceId);
+      relayEnabledByDevice.delete(deviceId);
+      lastFrameAtByDevice.delete(deviceId);
     }
-    ws.send(JSON.stringify(payload));
-    return true;
   }
 
-  function forwardAudio(deviceId, data) {
-    if (!data || data.length < 1 || data[0] !== 0x1) {
-      return;
+  function authenticateAgent(deviceId, token) {
+    if (credentials.verify(deviceId, token)) {
+      return true;
     }
+    if (allowLegacyAgentSecret && agentSecret && token === agentSecret) {
+      logger.warn ? logger.warn(`Agent ${deviceId} authenticated with legacy shared secret`) : logger.log(`Agent ${deviceId} authenticated with legacy shared secret`);
+      return true;
+    }
+    return false;
+  }
 
-    const sessionId = activeSessionByDevice.get(deviceId);
-    if (!sessionId) {
+  // Records this node as the agent's owner and tells the previous owner, if any, to drop its socket.
+  function claimAgent(deviceId) {
+    state.getAgentNode(deviceId)
+      .then((owner) => {
+        if (owner && owner !== nodeId) {
+          publish(owner, { type: 'agent_close', deviceId });
+        }
+        return state.setAgentNode(deviceId, nodeId, AGENT_LEASE_MS);
+      })
+      .catch(logStateError);
+  }
+
+  function onViewerConnected(ws, req) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const sessionId = url.searchParams.get('sessionId');
+    const token = url.searchParams.get('token');
+    const release = holdMessages(ws);
+
+    (async () => {
+      const session = await loadSession(sessionId);
+      if (!session || session.token !== token || session.expiresAt < Date.now()) {
+        authFailures.inc({ role: 'viewer' });
+        ws.close(1008, 'invalid session');
+        return;
+      }
+      const owner = await locateAgent(session.deviceId);
+      if (ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      attachHeartbeat(ws, 'viewer');
+      audit.record('viewer_connected', { sessionId, deviceId: session.deviceId, userId: session.userId, ip: req.socket.remoteAddress, node: owner || undefined });
+      if (owner) {
+        bridgeViewer(ws, sessionId, owner);
+      } else {
+        attachViewer(ws, sessionId, session);
+      }
+      release();
+    })().catch((err) => {
+      logStateError(err);
+      ws.close(1011, 'session store unavailable');
+    });
+  }
+
+  // The response joins as a listener through a stand-in viewer socket, so the session rules,
+  // listener limits, consent and cross-node bridging all apply as for a page.
+  function openHttpStream(req, res) {
+    const { sessionId } = req.params;
+    const { token, profile, sourceId } = req.query;
+    if (profile !== undefined && (!STREAM_PROFILES[profile] || STREAM_PROFILES[profile].codec !== 'opus')) {
+      res.status(400).json({ error: `not an Opus stream profile: ${profile}` });
       return;
     }
-    const viewer = viewers.get(sessionId);
-    if (!viewer || viewer.readyState !== WebSocket.OPEN) {
+
+    (async () => {
+      const session = await loadSession(sessionId);
+      if (!session || session.token !== token || session.expiresAt < Date.now()) {
+        authFailures.inc({ role: 'viewer' });
+        res.status(403).json({ error: 'invalid session' });
+        return;
+      }
+      const owner = await locateAgent(session.deviceId);
+      if (res.destroyed) {
+        return;
+      }
+      const listener = createHttpListener(res);
+      audit.record('viewer_connected', { sessionId, deviceId: session.deviceId, userId: session.userId, ip: req.socket.remoteAddress, node: owner || undefined, transport: 'http' });
+      if (owner) {
+        bridgeViewer(listener, sessionId, owner);
+      } else {
+        attachViewer(listener, sessionId, session);
+      }
+      listener.request({ action: 'hello', versions: [framing.LATEST_VERSION] });
+      listener.request({ action: 'start', mode: 'wss', profile, sourceId });
+    })().catch((err) => {
+      logStateError(err);
+      if (!res.headersSent) {
+        res.status(503).json({ error: 'session store unavailable' });
+      }
+    });
+  }
+
+  // Stands in for a viewer socket on an HTTP response. Until the stream format arrives the
+  // request can still fail with a JSON error; after that relayed frames are muxed into Ogg
+  // pages, and the response's write callbacks keep the send queue's flow control working.
+  function createHttpListener(res) {
+    const listener = new EventEmitter();
+    let muxer = null;
+    listener.role = 'viewer';
+    listener.readyState = WebSocket.OPEN;
+    Object.defineProperty(listener, 'bufferedAmount', { get: () => res.writableLength });
+
+    // Plays the part of the page: messages the client would have sent.
+    listener.request = (msg) => listener.emit('message', Buffer.from(JSON.stringify(msg)), false);
+
+    listener.send = (data, opts = {}, callback) => {
+      if (listener.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      if (opts.binary) {
+        writeFrame(data, callback);
+        return;
+      }
+      let msg;
+      try {
+        msg = JSON.parse(String(data));
+      } catch (_) {
+        return;
+      }
+      if (msg.type === 'format' && msg.format.codec === 'opus' && !muxer) {
+        muxer = createOggOpusMuxer({ channels: msg.format.channels });
+        res.writeHead(200, { 'Content-Type': 'audio/ogg', 'Cache-Control': 'no-store' });
+        res.write(muxer.header());
+        return;
+      }
+      // Ends wait for the relay to finish the send that reported them, as a socket close would.
+      setImmediate(() => {
+        if (msg.type === 'status' && msg.state === 'agent_disconnected') {
+          // The relay has already ended the stream; a page would wait for the agent to return.
+          end(1000, 'agent disconnected');
+        } else if (muxer) {
+          return;
+        } else if (msg.type === 'format') {
+          listener.request({ action: 'stop' });
+          end(1000, `the stream is ${msg.format.codec}, not Opus`, 409);
+        } else if (msg.type === 'error') {
+          end(1000, msg.reason, msg.scope === 'consent' ? 403 : 409);
+        }
+      });
+    };
+
+    function writeFrame(data, callback) {
+      let frame;
+      try {
+        frame = framing.decode(data);
+      } catch (_) {
+        return;
+      }
+      if (frame.type === framing.FRAME_TYPES.END_OF_STREAM) {
+        listener.endReason = 'end_of_stream';
+        end(1000, frame.reason || 'end of stream');
+      } else if (frame.type === framing.FRAME_TYPES.AUDIO && muxer) {
+        res.write(muxer.packet(Buffer.from(frame.payload), frame.timestampMs), callback);
+      }
+    }
+
+    // There is no resume over HTTP, so ends are never held for a reconnect.
+    function end(code, reason, status = 503) {
+      if (listener.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      listener.readyState = WebSocket.CLOSED;
+      listener.endReason = listener.endReason || 'http_closed';
+      if (muxer) {
+        res.end(muxer.end());
+      } else if (!res.headersSent) {
+        res.status(status).json({ error: reason || 'stream closed' });
+      }
+      listener.emit('close', code, reason);
+    }
+
+    listener.close = (code, reason) => end(code, reason);
+    listener.terminate = () => {
+      end(1006, 'terminated');
+      res.destroy();
+    };
+
+    res.on('close', () => {
+      if (listener.readyState === WebSocket.OPEN) {
+        // Said out loud rather than left to the close, which a bridged viewer's node would hold.
+        listener.request({ action: 'stop' });
+        end(1000, 'client disconnected');
+      }
+    });
+    return listener;
+  }
+
+  // The agent lives on another node: relay this viewer's traffic over the bus to a proxy there.
+  function bridgeViewer(ws, sessionId, owner) {
+    ws.bridgedTo = owner;
+    const previous = viewers.get(sessionId);
+    viewers.set(sessionId, ws);
+    if (previous && previous !== ws) {
+      previous.close(4002, 'displaced by a newer connection');
+    }
+    publish(owner, { type: 'viewer_open', sessionId });
+
+    ws.on('close', () => {
+      if (viewers.get(sessionId) === ws) {
+        viewers.delete(sessionId);
+        publish(owner, { type: 'viewer_close', sessionId });
+      }
+    });
+
+    ws.on('message', (data, isBinary) => {
+      publish(owner, { type: 'viewer_message', sessionId, data: isBinary ? data : data.toString('utf8'), binary: isBinary });
+    });
+  }
+
+  // Stands in for a viewer socket held by another node. It is handed to attachViewer like a
+  // local socket; sends and closes are published back to that node.
+  function createRemoteViewer(sessionId, remoteNode) {
+    const proxy = new EventEmitter();
+    proxy.remoteNode = remoteNode;
+    proxy.readyState = WebSocket.OPEN;
+    proxy.send = (data, opts = {}) => {
+      if (proxy.readyState === WebSocket.OPEN) {
+        publish(remoteNode, { type: 'viewer_send', sessionId, data, binary: Boolean(opts.binary) });
+      }
+    };
+    proxy.close = (code, reason) => {
+      if (proxy.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      publish(remoteNode, { type: 'viewer_kick', sessionId, code, reason });
+      proxy.closed(code, reason);
+    };
+    proxy.closed = (code, reason) => {
+      if (proxy.readyState === WebSocket.OPEN) {
+        proxy.readyState = WebSocket.CLOSED;
+        proxy.emit('close', code, reason);
+      }
+    };
+    return proxy;
+  }
+
+  function openRemoteViewer(sessionId, remoteNode) {
+    const proxy = createRemoteViewer(sessionId, remoteNode);
+    const previous = viewers.get(sessionId);
+    if (previous && previous.remoteNode) {
+      previous.closed(1000, 'replaced');
+    }
+    viewers.set(sessionId, proxy);
+    const release = holdMessages(proxy);
+    loadSession(sessionId)
+      .then((session) => {
+        if (proxy.readyState !== WebSocket.OPEN) {
+          return;
+        }
+        if (!session || session.expiresAt < Date.now()) {
+          proxy.close(1008, 'invalid session');
+          return;
+        }
+        attachViewer(proxy, sessionId, session);
+        release();
+      })
+      .catch((err) => {
+        logStateError(err);
+        proxy.close(1011, 'session store unavailable');
+      });
+  }
+
+  function onBusMessage(msg) {
+    const viewer = msg.sessionId ? viewers.get(msg.sessionId) : null;
+    if (msg.type === 'viewer_open') {
+      openRemoteViewer(msg.sessionId, msg.from);
+    } else if (msg.type === 'viewer_message') {
+      if (viewer && viewer.remoteNode === msg.from) {
+        viewer.emit('message', msg.data, msg.binary);
+      }
+    } else if (msg.type === 'viewer_close') {
+      if (viewer && viewer.remoteNode === msg.from) {
+        viewer.closed(1000, 'viewer closed');
+      }
+    } else if (msg.type === 'viewer_send') {
+      if (viewer && !viewer.remoteNode && viewer.readyState === WebSocket.OPEN) {
+        if (msg.binary) {
+          sendAudio(viewer, msg.sessionId, msg.data);
+        } else {
+          viewer.send(msg.data);
+        }
+      }
+    } else if (msg.type === 'viewer_kick') {
+      if (viewer && !viewer.remoteNode) {
+        viewer.close(msg.code, msg.reason);
+      }
+    } else if (msg.type === 'agent_close') {
+      const agent = agents.get(msg.deviceId);
+      if (agent && msg.code) {
+        agent.closeReason = msg.reason;
+        agent.close(msg.code, msg.reason);
+      } else if (agent) {
+        agent.terminate();
+      }
+    }
+  }
+
+  function attachViewer(ws, sessionId, session) {
+    const deviceId = session.deviceId;
+    const previous = viewers.get(sessionId);
+    if (previous && previous !== ws) {
+      // A second connection with the same token takes over. The first one stops listening,
+      // unless the newer one resumes: a reconnect often arrives before the old socket times out.
+      viewers.delete(sessionId);
+      if (!holdListener(deviceId, sessionId, 'displaced')) {
+        removeListener(deviceId, sessionId, 'displaced');
+      }
+      previous.close(4002, 'displaced by a newer connection');
+    }
+    viewers.set(sessionId, ws);
+    ws.frameVersion = 0;
+
+    ws.on('close', () => {
+      if (viewers.get(sessionId) !== ws) {
+        return;
+      }
+      viewers.delete(sessionId);
+      cancelConsent(sessionId);
+      // Sockets the relay closed on purpose are not held for a reconnect.
+      if (ws.endReason || !holdListener(deviceId, sessionId, 'viewer_closed')) {
+        removeListener(deviceId, sessionId, ws.endReason || 'viewer_closed');
+      }
+    });
+
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        const frame = readFrame(ws, data);
+        if (frame) {
+          forwardTalk(deviceId, sessionId, frame, data);
+        }
+        return;
+      }
+
+      let msg;
+      try {
+        msg = JSON.parse(data.toString('utf8'));
+      } catch (err) {
+        return;
+      }
+
+      if (msg.action === 'hello') {
+        const version = negotiateFraming(ws, msg.versions);
+        if (version !== null) {
+          ws.send(JSON.stringify({ type: 'hello', version }));
+        }
+      } else if (msg.action === 'resume') {
+        resumeListening(ws, sessionId, session);
+      } else if (msg.action === 'start') {
+        const held = heldListeners.get(sessionId);
+        if (held) {
+          // A fresh start gives up the held stream rather than joining it.
+          removeListener(deviceId, sessionId, held.reason);
+        }
+        if (!canStart(ws, sessionId, session, msg)) {
+          return;
+        }
+        if (session.consent) {
+          requestConsent(ws, sessionId, session, msg);
+        } else {
+          startListening(ws, sessionId, session, msg);
+        }
+      } else if (msg.action === 'stop') {
+        cancelConsent(sessionId);
+        removeListener(deviceId, sessionId, 'user_stop');
+      } else if (msg.action === 'signal') {
+        const listeners = listenersByDevice.get(deviceId);
+        if (listeners && listeners.has(sessionId) && session.transport === 'webrtc') {
+          sendToAgent(deviceId, { action: 'signal', sessionId, data: msg.data });
+        }
+      } else if (msg.action === 'transport') {
+        // Viewer fallback after ICE failure; only switching back to the relay is supported.
+        const listeners = listenersByDevice.get(deviceId);
+        if (msg.mode === 'wss' && listeners && listeners.has(sessionId) && session.transport === 'webrtc') {
+          session.transport = 'wss';
+          sendToAgent(deviceId, { action: 'webrtc_close', sessionId });
+          updateRelay(deviceId);
+          ws.send(JSON.stringify({ type: 'transport', mode: 'wss' }));
+        }
+      } else if (msg.action === 'list_sources') {
+        const agent = agents.get(deviceId);
+        ws.send(JSON.stringify({ type: 'sources', sources: (agent && agent.sources) || [], sourceId: sourceByDevice.get(deviceId) }));
+        // The cached list answers at once; the agent's fresh one follows to every viewer.
+        sendToAgent(deviceId, { action: 'list_sources' });
+      } else if (msg.action === 'source') {
+        switchSource(ws, sessionId, session, msg.sourceId);
+      } else if (msg.action === 'talk_start') {
+        startTalk(deviceId, sessionId, session, ws);
+      } else if (msg.action === 'talk_stop') {
+        stopTalk(deviceId, sessionId);
+      } else if (msg.action === 'status') {
+        sendToAgent(deviceId, { action: 'status' });
+      }
+    });
+
+    ws.send(JSON.stringify({
+      type: 'viewer_connected',
+      deviceId,
+      sessionId,
+      agent: agents.has(deviceId) ? 'online' : 'offline',
+      resumeGraceMs: viewerResumeGraceMs
+    }));
+  }
+
+  // Keeps a listener whose viewer went away for `viewerResumeGraceMs`, so a reconnect with the
+  // same token picks the stream up again without a new start (or consent request). Returns
+  // false when the session was not listening or resume is disabled.
+  function holdListener(deviceId, sessionId, reason) {
+    const listeners = listenersByDevice.get(deviceId);
+    if (!viewerResumeGraceMs || closing || !listeners || !listeners.has(sessionId)) {
+      return false;
+    }
+    stopTalk(deviceId, sessionId);
+    const session = sessions.get(sessionId);
+    if (session && session.transport === 'webrtc') {
+      // The peer connection does not survive the page's socket; a resumed viewer uses the relay.
+      sendToAgent(deviceId, { action: 'webrtc_close', sessionId });
+      session.transport = 'wss';
+    }
+    const timer = setTimeout(() => {
+      heldListeners.delete(sessionId);
+      removeListener(deviceId, sessionId, reason);
+    }, viewerResumeGraceMs);
+    heldListeners.set(sessionId, { deviceId, timer, reason });
+    updateRelay(deviceId);
+    audit.record('stream_interrupted', { sessionId, deviceId, userId: session ? session.userId : undefined, reason });
+    return true;
+  }
+
+  function releaseHeldListener(sessionId) {
+    const held = heldListeners.get(sessionId);
+    if (held) {
+      clearTimeout(held.timer);
+      heldListeners.delete(sessionId);
+    }
+  }
+
+  function resumeListening(ws, sessionId, session) {
+    const deviceId = session.deviceId;
+    const listeners = listenersByDevice.get(deviceId);
+    if (!heldListeners.has(sessionId) || !listeners || !listeners.has(sessionId)) {
+      ws.send(JSON.stringify({ type: 'error', scope: 'resume', reason: 'the session can no longer be resumed' }));
+      return;
+    }
+    releaseHeldListener(sessionId);
+    updateRelay(deviceId);
+    if (session.e2eKey) {
+      // The agent may have changed keys while the viewer was away; joining again resends the current one.
+      sendToAgent(deviceId, { action: 'e2e_join', sessionId, publicKey: session.e2eKey });
+    }
+    audit.record('stream_resumed', { sessionId, deviceId, userId: session.userId });
+    ws.send(JSON.stringify({ type: 'resumed', transport: session.transport, sourceId: sourceByDevice.get(deviceId) }));
+  }
+
+  // Checks a `start` request without changing anything, so the user at the device is never
+  // asked to consent to a stream that could not start anyway. Reports the problem to the viewer.
+  function canStart(ws, sessionId, session, msg) {
+    const deviceId = session.deviceId;
+    const listeners = listenersByDevice.get(deviceId);
+    if ((listeners && listeners.has(sessionId)) || pendingConsents.has(sessionId)) {
+      return false;
+    }
+    const mode = msg.mode || 'wss';
+    const e2e = Boolean(msg.e2e);
+    const { allowedModes: modes, maxListenersPerDevice: maxListeners } = settings.get();
+    const agent = agents.get(deviceId);
+    let reason = null;
+    if (!modes.includes(mode)) {
+      reason = `transport mode not allowed: ${mode}`;
+    } else if (e2e && !isE2eKey(msg.e2e.publicKey)) {
+      reason = 'end-to-end encryption needs an ECDH P-256 public key';
+    } else if (e2e && session.record) {
+      reason = 'end-to-end encrypted streams cannot be recorded';
+    } else if (listeners && e2e !== e2eDevices.has(deviceId)) {
+      // Every listener shares the agent's one stream, so all must agree on encryption.
+      reason = e2e ? 'the stream is already running without end-to-end encryption' : 'the stream is end-to-end encrypted';
+    } else if (listeners && listeners.size >= maxListeners) {
+      reason = maxListeners <= 1 ? 'another listener is active' : 'listener limit reached';
+    } else if (!listeners && !agent) {
+      reason = 'agent not connected';
+    } else if (!listeners && e2e && !(agent.capabilities && agent.capabilities.e2e && agent.frameVersion >= 1)) {
+      reason = 'the agent does not support end-to-end encryption';
+    } else if (!listeners && !msg.format && msg.profile && !STREAM_PROFILES[msg.profile]) {
+      reason = `unknown stream profile: ${msg.profile}`;
+    } else if (!listeners) {
+      reason = checkSource(deviceId, msg.sourceId);
+    }
+    if (reason) {
+      ws.send(JSON.stringify({ type: 'error', reason }));
+      return false;
+    }
+    return true;
+  }
+
+  // Only the shape is checked; the relay never uses the key.
+  function isE2eKey(publicKey) {
+    if (typeof publicKey !== 'string' || publicKey.length > 100) {
+      return false;
+    }
+    const raw = Buffer.from(publicKey, 'base64');
+    return raw.length === 65 && raw[0] === 0x04;
+  }
+
+  // Returns why `sourceId` cannot be streamed from the device, or null. No sourceId means the
+  // agent's default.
+  function checkSource(deviceId, sourceId) {
+    if (sourceId === undefined || sourceId === null) {
+      return null;
+    }
+    const agent = agents.get(deviceId);
+    if (!agent || !agent.sources || !agent.sources.length) {
+      return 'the agent does not offer a choice of audio source';
+    }
+    return agent.sources.some((source) => source.id === sourceId) ? null : `unknown audio source: ${sourceId}`;
+  }
+
+  // Switches the device's stream to another source. Every listener hears the switch, so each is told.
+  function switchSource(ws, sessionId, session, sourceId) {
+    const deviceId = session.deviceId;
+    const listeners = listenersByDevice.get(deviceId);
+    if (!listeners || !listeners.has(sessionId)) {
+      ws.send(JSON.stringify({ type: 'error', scope: 'source', reason: 'start listening before choosing a source' }));
+      return;
+    }
+    const reason = sourceId ? checkSource(deviceId, sourceId) : 'sourceId required';
+    if (reason) {
+      ws.send(JSON.stringify({ type: 'error', scope: 'source', reason }));
+      return;
+    }
+    if (sourceByDevice.get(deviceId) === sourceId) {
+      return;
+    }
+    sendToAgent(deviceId, { action: 'source', sourceId });
+    sourceByDevice.set(deviceId, sourceId);
+    audit.record('source_changed', { sessionId, deviceId, userId: session.userId, sourceId });
+    sendToListeners(deviceId, { type: 'source', sourceId, sessionId, userId: session.userId });
+  }
+
+  function startListening(ws, sessionId, session, msg) {
+    const deviceId = session.deviceId;
+    const listeners = listenersByDevice.get(deviceId);
+    const e2e = Boolean(msg.e2e);
+    // Recording needs the frames to pass through the relay. End-to-end encryption does too: the
+    // WebRTC key fingerprints are exchanged through the relay, which could substitute its own.
+    session.transport = (msg.mode || 'wss') === 'webrtc' && !session.record && !e2e ? 'webrtc' : 'wss';
+
+    if (!listeners) {
+      // First listener: the agent only needs to be started once per device, and the
+      // format it picks is the one every later listener joins.
+      const agent = agents.get(deviceId);
+      if (!agent) {
+        ws.send(JSON.stringify({ type: 'error', reason: 'agent not connected' }));
+        return;
+      }
+      const format = negotiateFormat(msg.format || msg.profile, agent.capabilities);
+      if (!format) {
+        ws.send(JSON.stringify({ type: 'error', reason: 'no stream format supported by both agent and viewer' }));
+        return;
+      }
+      const sourceId = msg.sourceId || undefined;
+      const sent = sendToAgent(deviceId, { action: 'start', sessionId, mode: session.transport, format, sourceId, e2e: e2e || undefined });
+      if (!sent) {
+        ws.send(JSON.stringify({ type: 'error', reason: 'agent not connected' }));
+        return;
+      }
+      formatByDevice.set(deviceId, format);
+      if (sourceId) {
+        sourceByDevice.set(deviceId, sourceId);
+      }
+      if (e2e) {
+        e2eDevices.add(deviceId);
+      }
+      relayEnabledByDevice.set(deviceId, session.transport === 'wss');
+      listenersByDevice.set(deviceId, new Set([sessionId]));
+    } else {
+      listeners.add(sessionId);
+      updateRelay(deviceId);
+    }
+    if (e2e) {
+      session.e2eKey = msg.e2e.publicKey;
+      sendToAgent(deviceId, { action: 'e2e_join', sessionId, publicKey: session.e2eKey });
+    }
+    const format = formatByDevice.get(deviceId);
+    ws.send(JSON.stringify({ type: 'format', format }));
+    ws.send(JSON.stringify({ type: 'transport', mode: session.transport }));
+    // Later listeners join whatever source the stream already has.
+    if (sourceByDevice.has(deviceId)) {
+      ws.send(JSON.stringify({ type: 'source', sourceId: sourceByDevice.get(deviceId) }));
+    }
+    if (session.consent) {
+      // Shown on the device for as long as this listener stays; cleared in removeListener.
+      sendToAgent(deviceId, { action: 'indicator', sessionId, active: true, userId: session.userId, userName: session.userName });
+    }
+    startRecording(sessionId, session, format);
+    session.streamStartedAt = Date.now();
+    session.streamBytesAtStart = session.bytes || 0;
+    audit.record('stream_started', { sessionId, deviceId, userId: session.userId, transport: session.transport, format, sourceId: sourceByDevice.get(deviceId), e2e: e2e || undefined });
+    sendToListeners(deviceId, {
+      type: 'listener_joined',
+      sessionId,
+      userId: session.userId,
+      listeners: listenersByDevice.get(deviceId).size
+    }, sessionId);
+  }
+
+  // Asks the user at the device before this listener may start; every start needs a fresh answer.
+  function requestConsent(ws, sessionId, session, msg) {
+    const deviceId = session.deviceId;
+    const sent = sendToAgent(deviceId, {
+      action: 'consent_request',
+      sessionId,
+      userId: session.userId,
+      userName: session.userName,
+      timeoutMs: consentTimeoutMs
+    });
+    if (!sent) {
+      ws.send(JSON.stringify({ type: 'error', reason: 'agent not connected' }));
+      return;
+    }
+    const timer = setTimeout(() => {
+      pendingConsents.delete(sessionId);
+      sendToAgent(deviceId, { action: 'consent_cancel', sessionId });
+      audit.record('consent_timeout', { sessionId, deviceId, userId: session.userId });
+      ws.send(JSON.stringify({ type: 'error', scope: 'consent', reason: 'the user at the device did not respond to the consent request' }));
+    }, consentTimeoutMs);
+    pendingConsents.set(sessionId, { deviceId, ws, msg, timer });
+    audit.record('consent_requested', { sessionId, deviceId, userId: session.userId });
+    ws.send(JSON.stringify({ type: 'status', state: 'awaiting_consent' }));
+  }
+
+  function handleConsentReply(deviceId, msg) {
+    const pending = pendingConsents.get(msg.sessionId);
+    const session = sessions.get(msg.sessionId);
+    if (!pending || pending.deviceId !== deviceId || !session) {
+      return;
+    }
+    clearTimeout(pending.timer);
+    pendingConsents.delete(msg.sessionId);
+    if (msg.accepted === true) {
+      audit.record('consent_accepted', { sessionId: msg.sessionId, deviceId, userId: session.userId });
+      if (canStart(pending.ws, msg.sessionId, session, pending.msg)) {
+        startListening(pending.ws, msg.sessionId, session, pending.msg);
+      }
+      return;
+    }
+    audit.record('consent_denied', { sessionId: msg.sessionId, deviceId, userId: session.userId, reason: msg.reason });
+    pending.ws.send(JSON.stringify({
+      type: 'error',
+      scope: 'consent',
+      reason: msg.reason ? `the user at the device declined: ${msg.reason}` : 'the user at the device declined the request'
+    }));
+  }
+
+  function cancelConsent(sessionId) {
+    const pending = pendingConsents.get(sessionId);
+    if (!pending) {
+      return;
+    }
+    clearTimeout(pending.timer);
+    pendingConsents.delete(sessionId);
+    sendToAgent(pending.deviceId, { action: 'consent_cancel', sessionId });
+    const session = sessions.get(sessionId);
+    audit.record('consent_cancelled', { sessionId, deviceId: pending.deviceId, userId: session ? session.userId : undefined });
+  }
+
+  function sendToAgent(deviceId, payload) {
+    const ws = agents.get(deviceId);
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    ws.send(JSON.stringify(payload));
+    return true;
+  }
+
+  // Every viewer of the device, listening or not.
+  function sendToViewers(deviceId, payload) {
+    const text = JSON.stringify(payload);
+    for (const [sessionId, viewer] of viewers) {
+      const session = sessions.get(sessionId);
+      if (session && session.deviceId === deviceId && !viewer.bridgedTo && viewer.readyState === WebSocket.OPEN) {
+        viewer.send(text);
+      }
+    }
+  }
+
+  function sendToListeners(deviceId, payload, exceptSessionId) {
+    const listeners = listenersByDevice.get(deviceId);
+    if (!listeners) {
+      return;
+    }
+    const text = JSON.stringify(payload);
+    for (const sessionId of listeners) {
+      if (sessionId === exceptSessionId) {
+        continue;
+      }
+      const viewer = viewers.get(sessionId);
+      if (viewer && viewer.readyState === WebSocket.OPEN) {
+        viewer.send(text);
+      }
+    }
+  }
+
+  function startTalk(deviceId, sessionId, session, ws) {
+    const listeners = listenersByDevice.get(deviceId);
+    if (!listeners || !listeners.has(sessionId)) {
+      ws.send(JSON.stringify({ type: 'error', scope: 'talk', reason: 'start listening before talking' }));
+      return;
+    }
+    const talker = talkerByDevice.get(deviceId);
+    if (talker === sessionId) {
+      return;
+    }
+    if (talker) {
+      ws.send(JSON.stringify({ type: 'error', scope: 'talk', reason: 'another listener is talking' }));
+      return;
+    }
+    // Talkback is mono 48 kHz Opus, matching what MeshAudioClient encodes.
+    const sent = sendToAgent(deviceId, { action: 'talk_start', sessionId, userId: session.userId, codec: 'opus', sampleRate: 48000, channels: 1 });
+    if (!sent) {
+      ws.send(JSON.stringify({ type: 'error', scope: 'talk', reason: 'agent not connected' }));
+      return;
+    }
+    talkerByDevice.set(deviceId, sessionId);
+    sendToListeners(deviceId, { type: 'talk_started', sessionId, userId: session.userId });
+  }
+
+  function stopTalk(deviceId, sessionId) {
+    if (talkerByDevice.get(deviceId) !== sessionId) {
+      return;
+    }
+    talkerByDevice.delete(deviceId);
+    sendToAgent(deviceId, { action: 'talk_stop', sessionId });
+    const session = sessions.get(sessionId);
+    sendToListeners(deviceId, { type: 'talk_stopped', sessionId, userId: session ? session.userId : undefined });
+  }
+
+  function forwardTalk(deviceId, sessionId, frame, data) {
+    if (frame.type !== framing.FRAME_TYPES.TALKBACK || talkerByDevice.get(deviceId) !== sessionId) {
+      return;
+    }
+    const agent = agents.get(deviceId);
+    if (agent && agent.readyState === WebSocket.OPEN) {
+      const out = agent.frameVersion === frame.version ? data : framing.encode({ ...frame, version: agent.frameVersion });
+      agent.send(out, { binary: true });
+      countBytes(sessionId, out.length);
+    }
+  }
+
+  function auditStreamStopped(sessionId, reason) {
+    const session = sessions.get(sessionId);
+    if (!session || !session.streamStartedAt) {
+      return;
+    }
+    audit.record('stream_stopped', {
+      sessionId,
+      deviceId: session.deviceId,
+      userId: session.userId,
+      reason,
+      durationMs: Date.now() - session.streamStartedAt,
+      bytes: (session.bytes || 0) - session.streamBytesAtStart
+    });
+    session.streamStartedAt = null;
+  }
+
+  function removeListener(deviceId, sessionId, reason) {
+    releaseHeldListener(sessionId);
+    const listeners = listenersByDevice.get(deviceId);
+    if (!listeners || !listeners.has(sessionId)) {
+      return;
+    }
+    stopTalk(deviceId, sessionId);
+    listeners.delete(sessionId);
+    stopRecording(sessionId);
+    auditStreamStopped(sessionId, reason);
+    const session = sessions.get(sessionId);
+    if (session && session.transport === 'webrtc') {
+      sendToAgent(deviceId, { action: 'webrtc_close', sessionId });
+    }
+    if (session && session.consent) {
+      sendToAgent(deviceId, { action: 'indicator', sessionId, active: false });
+    }
+    if (session && session.e2eKey) {
+      session.e2eKey = null;
+      sendToAgent(deviceId, { action: 'e2e_leave', sessionId });
+    }
+    if (listeners.size === 0) {
+      listenersByDevice.delete(deviceId);
+      formatByDevice.delete(deviceId);
+      sourceByDevice.delete(deviceId);
+      e2eDevices.delete(deviceId);
+      relayEnabledByDevice.delete(deviceId);
+      lastFrameAtByDevice.delete(deviceId);
+      sendToAgent(deviceId, { action: 'stop' });
+      return;
+    }
+    updateRelay(deviceId);
+    sendToListeners(deviceId, {
+      type: 'listener_left',
+      sessionId,
+      userId: session ? session.userId : undefined,
+      listeners: listeners.size
+    });
+  }
+
+  // Tells the agent whether any listener still needs frames through the relay, so devices whose
+  // listeners are all on WebRTC, or waiting for their viewer to reconnect, stop sending audio
+  // to the server. A recording always needs the frames.
+  function updateRelay(deviceId) {
+    const listeners = listenersByDevice.get(deviceId);
+    if (!listeners) {
+      return;
+    }
+    const enabled = [...listeners].some((sessionId) => {
+      const session = sessions.get(sessionId);
+      if (recorders.has(sessionId)) {
+        return true;
+      }
+      return !session || (session.transport !== 'webrtc' && !heldListeners.has(sessionId));
+    });
+    if (relayEnabledByDevice.get(deviceId) !== enabled) {
+      relayEnabledByDevice.set(deviceId, enabled);
+      sendToAgent(deviceId, { action: 'relay', enabled });
+    }
+  }
+
+  function forwardAudio(deviceId, frame, data) {
+    const listeners = listenersByDevice.get(deviceId);
+    if (!listeners) {
+      return;
+    }
+    const now = Date.now();
+    const previous = lastFrameAtByDevice.get(deviceId);
+    if (previous !== undefined) {
+      frameInterarrival.observe((now - previous) / 1000, { device: deviceId });
+    }
+    lastFrameAtByDevice.set(deviceId, now);
+    relayedFrames.inc();
+    for (const sessionId of listeners) {
+      const recorder = recorders.get(sessionId);
+      if (recorder) {
+        recorder.write(frame);
+      }
+    }
+    relayFrame(deviceId, frame, data);
+  }
+
+  // Sends an agent's frame to every relay listener in the framing version that listener
+  // negotiated, encoding each version at most once.
+  function relayFrame(deviceId, frame, data) {
+    const listeners = listenersByDevice.get(deviceId);
+    if (!listeners) {
+      return;
+    }
+    const format = formatByDevice.get(deviceId);
+    const encoded = new Map([[frame.version, data]]);
+    const encodeFor = (version) => {
+      if (!encoded.has(version)) {
+        // Version 0 agents do not label their frames; the negotiated format says what they send.
+        const codec = frame.codec || (format && format.codec);
+        encoded.set(version, framing.encode({ ...frame, codec, version }));
+      }
+      return encoded.get(version);
+    };
+    for (const sessionId of listeners) {
+      const session = sessions.get(sessionId);
+      if (session && session.transport === 'webrtc') {
+        continue;
+      }
+      const viewer = viewers.get(sessionId);
+      const out = viewer ? encodeFor(viewer.frameVersion || 0) : null;
+      if (!out) {
+        continue;
+      }
+      if (viewer.remoteNode) {
+        // The node holding the viewer's socket applies the send policy.
+        viewer.send(out, { binary: true });
+        countBytes(sessionId, out.length);
+      } else {
+        sendAudio(viewer, sessionId, out);
+      }
+    }
+  }
+
+  // Relayed audio goes through a per-viewer queue that sheds stale frames rather than letting
+  // a slow link buffer without limit.
+  function sendAudio(viewer, sessionId, data) {
+    if (!viewer.sendQueue) {
+      viewer.sendQueue = createViewerSendQueue(viewer, {
+        maxBufferedBytes: viewerMaxBufferedBytes,
+        maxDelayMs: viewerMaxDelayMs,
+        stallTimeoutMs: viewerStallTimeoutMs,
+        onSent: (length) => {
+          countBytes(sessionId, length);
+          relayedBytes.inc(undefined, length);
+        },
+        onDrop: (count) => reportDrops(viewer, count),
+        onStall: () => {
+          logger.warn ? logger.warn(`MeshAudio viewer ${sessionId} stalled; disconnecting`) : logger.log(`MeshAudio viewer ${sessionId} stalled; disconnecting`);
+          viewer.endReason = 'stalled';
+          viewer.close(4003, 'connection too slow');
+          // A stalled link may never deliver the close frame.
+          setTimeout(() => viewer.terminate(), 5000).unref();
+        }
+      });
+    }
+    viewer.sendQueue.push(data);
+  }
+
+  function reportDrops(viewer, count) {
+    droppedFrames.inc({ reason: 'slow_viewer' }, count);
+    viewer.droppedFrames = (viewer.droppedFrames || 0) + count;
+    const now = Date.now();
+    if (now - (viewer.dropsReportedAt || 0) < 1000) {
       return;
     }
-    viewer.send(data, { binary: true });
+    viewer.send(JSON.stringify({
+      type: 'congestion',
+      dropped: viewer.droppedFrames - (viewer.dropsReported || 0),
+      total: viewer.droppedFrames
+    }));
+    viewer.dropsReportedAt = now;
+    viewer.dropsReported = viewer.droppedFrames;
+  }
+
+  // Undoes everything the plugin did to the host: timers, the upgrade listener, the router and
+  // the bus subscription. Sockets are closed with 1001 so agents and viewers reconnect to
+  // whichever node still serves them. A store passed in by the caller is left open.
+  function close() {
+    if (closing) {
+      return closing;
+    }
+    timers.forEach((timer) => clearInterval(timer));
+    httpServer.off('upgrade', onUpgrade);
+    const stack = app._router && app._router.stack;
+    const layer = stack ? stack.findIndex((entry) => entry.handle === router) : -1;
+    if (layer !== -1) {
+      stack.splice(layer, 1);
+    }
+    unsubscribe();
+
+    for (const pending of pendingConsents.values()) {
+      clearTimeout(pending.timer);
+    }
+    pendingConsents.clear();
+    for (const sessionId of [...recorders.keys()]) {
+      stopRecording(sessionId);
+    }
+    for (const viewer of viewers.values()) {
+      viewer.endReason = 'shutdown';
+      viewer.close(1001, 'server shutting down');
+    }
+    // Close handlers still update the store, so it is closed once every socket has finished.
+    const sockets = [...viewerWss.clients, ...agentWss.clients];
+    const closed = sockets.map((ws) => new Promise((resolve) => {
+      ws.once('close', resolve);
+      ws.endReason = ws.endReason || 'shutdown';
+      ws.closeReason = 'server shutting down';
+      ws.close(1001, 'server shutting down');
+    }));
+    const killTimer = setTimeout(() => sockets.forEach((ws) => ws.terminate()), 5000);
+    for (const sessionId of [...heldListeners.keys()]) {
+      releaseHeldListener(sessionId);
+    }
+
+    closing = Promise.all(closed).then(() => {
+      clearTimeout(killTimer);
+      return stateStore ? undefined : state.close();
+    });
+    return closing;
   }
 
   return {
+    close,
+    dispose: close,
+    mountPath: mount,
+    credentials,
+    recordings,
+    settings,
+    audit,
+    metrics,
+    state,
+    nodeId,
     agents,
     sessions,
     viewers,
-    activeSessionByDevice
+    listenersByDevice
   };
 }
 
 if (require.main === module) {
   const app = express();
   const server = http.createServer(app);
-  createMeshAudioPlugin({ app, httpServer: server, allowUnauthenticated: true });
+  createMeshAudioPlugin({ app, httpServer: server, allowUnauthenticated: true, exclusiveUpgrades: true });
   const port = process.env.PORT || 4050;
   server.listen(port, () => {
     // eslint-disable-next-line no-console
@@ -288,8 +1922,86 @@ if (require.main === module) {
   });
 }
 
+// The WebAssembly Opus decoder used by browsers without WebCodecs ships in the opus-decoder package.
+function resolveVendorDir(logger) {
+  try {
+    return path.join(path.dirname(require.resolve('opus-decoder')), 'dist');
+  } catch (_) {
+    logger.warn ? logger.warn('MeshAudio: opus-decoder not installed; WebAssembly decoder fallback unavailable') : logger.log('MeshAudio: opus-decoder not installed; WebAssembly decoder fallback unavailable');
+    return null;
+  }
+}
+
+function createMeshCentralAuthorizer(meshServer, { requiredRights = MESHRIGHT_REMOTECONTROL } = {}) {
+  return function authorizeDevice(user, deviceId) {
+    const webserver = meshServer && meshServer.webserver;
+    if (!webserver || typeof webserver.GetNodeWithRights !== 'function') {
+      return { allowed: false, reason: 'MeshCentral rights lookup unavailable' };
+    }
+
+    const fullUser = user && webserver.users ? webserver.users[user._id] : null;
+    if (!fullUser) {
+      return { allowed: false, reason: 'unknown user' };
+    }
+
+    const domain = (meshServer.config && meshServer.config.domains && meshServer.config.domains[fullUser.domain]) || { id: fullUser.domain || '' };
+    return new Promise((resolve) => {
+      webserver.GetNodeWithRights(domain, fullUser, deviceId, (node, rights, visible) => {
+        if (!node || !visible) {
+          resolve({ allowed: false, reason: 'device not found' });
+        } else if ((rights & requiredRights) !== requiredRights) {
+          resolve({ allowed: false, reason: 'missing audio listen right' });
+        } else {
+          resolve({ allowed: true });
+        }
+      });
+    });
+  };
+}
+
+// Device groups are MeshCentral meshes; the node record in MeshCentral's database names its group.
+function createMeshCentralGroupResolver(meshServer) {
+  return function resolveDeviceGroup(deviceId) {
+    const db = meshServer && meshServer.db;
+    if (!db || typeof db.Get !== 'function') {
+      return Promise.reject(new Error('MeshCentral database unavailable'));
+    }
+    return new Promise((resolve, reject) => {
+      db.Get(deviceId, (err, docs) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(docs && docs[0] ? docs[0].meshid : null);
+        }
+      });
+    });
+  };
+}
+
+// Forwards audit events to MeshCentral's event system so they show up in device and user event logs.
+function createMeshCentralAuditSink(meshServer) {
+  return function dispatchAuditEvent(event) {
+    if (!meshServer || typeof meshServer.DispatchEvent !== 'function') {
+      return;
+    }
+    const targets = ['*', event.deviceId, event.userId].filter((id) => id && id !== 'anonymous');
+    const details = event.reason ? ` (${event.reason})` : '';
+    meshServer.DispatchEvent(targets, meshServer, {
+      etype: event.deviceId ? 'node' : 'server',
+      action: 'meshaudio',
+      nodeid: event.deviceId,
+      userid: event.userId,
+      msg: `MeshAudio ${event.type.replace(/_/g, ' ')}${details}`,
+      meshaudio: event
+    });
+  };
+}
+
 module.exports = createMeshAudioPlugin;
 module.exports.createMeshAudioPlugin = createMeshAudioPlugin;
+module.exports.createMeshCentralAuthorizer = createMeshCentralAuthorizer;
+module.exports.createMeshCentralAuditSink = createMeshCentralAuditSink;
+module.exports.createMeshCentralGroupResolver = createMeshCentralGroupResolver;
 module.exports.plugin = function meshAudioMeshCentralPlugin(parent, options = {}) {
   const plugin = {};
   const app = parent?.app || parent?.expressApp || parent?.parent?.app || (parent?.parent && parent.parent.expressApp);
@@ -308,9 +2020,62 @@ module.exports.plugin = function meshAudioMeshCentralPlugin(parent, options = {}
     app,
     httpServer,
     agentSecret: options.agentSecret || process.env.MESHAUDIO_AGENT_SECRET,
+    allowLegacyAgentSecret: options.allowLegacyAgentSecret ?? process.env.MESHAUDIO_ALLOW_LEGACY_SECRET === 'true',
+    credentialSecret: options.credentialSecret || process.env.MESHAUDIO_CREDENTIAL_SECRET,
+    credentialsFile:
+      options.credentialsFile ||
+      process.env.MESHAUDIO_CREDENTIALS_FILE ||
+      (parent?.parent?.datapath ? path.join(parent.parent.datapath, 'meshaudio-credentials.json') : null),
     tokenTtlMs: options.tokenTtlMs || Number(process.env.MESHAUDIO_TOKEN_TTL_MS || 5 * 60 * 1000),
     allowUnauthenticated: options.allowUnauthenticated ?? false,
     staticDir: options.staticDir,
+    mountPath: options.mountPath,
+    maxListenersPerDevice: options.maxListenersPerDevice || Number(process.env.MESHAUDIO_MAX_LISTENERS || 1),
+    authorizeDevice:
+      options.authorizeDevice ||
+      createMeshCentralAuthorizer(parent?.parent, {
+        requiredRights: options.requiredRights ?? Number(process.env.MESHAUDIO_REQUIRED_RIGHTS || MESHRIGHT_REMOTECONTROL)
+      }),
+    recordingsDir:
+      options.recordingsDir ||
+      process.env.MESHAUDIO_RECORDINGS_DIR ||
+      (parent?.parent?.datapath ? path.join(parent.parent.datapath, 'meshaudio-recordings') : null),
+    recordingPolicy: options.recordingPolicy || process.env.MESHAUDIO_RECORDING_POLICY || 'optional',
+    allowedModes: options.allowedModes,
+    settingsFile:
+      options.settingsFile ||
+      process.env.MESHAUDIO_SETTINGS_FILE ||
+      (parent?.parent?.datapath ? path.join(parent.parent.datapath, 'meshaudio-settings.json') : null),
+    auditFile:
+      options.auditFile ||
+      process.env.MESHAUDIO_AUDIT_FILE ||
+      (parent?.parent?.datapath ? path.join(parent.parent.datapath, 'meshaudio-audit.jsonl') : null),
+    auditSink: options.auditSink || createMeshCentralAuditSink(parent?.parent),
+    metricsToken: options.metricsToken || process.env.MESHAUDIO_METRICS_TOKEN,
+    viewerMaxBufferedBytes: options.viewerMaxBufferedBytes,
+    viewerMaxDelayMs: options.viewerMaxDelayMs,
+    viewerStallTimeoutMs: options.viewerStallTimeoutMs,
+    viewerResumeGraceMs: options.viewerResumeGraceMs,
+    agentMaxBytesPerSecond: options.agentMaxBytesPerSecond,
+    agentMaxFramesPerSecond: options.agentMaxFramesPerSecond,
+    consentPolicy: options.consentPolicy,
+    consentGroups: options.consentGroups,
+    consentTimeoutMs: options.consentTimeoutMs,
+    resolveDeviceGroup: options.resolveDeviceGroup || createMeshCentralGroupResolver(parent?.parent),
+    describeUser: options.describeUser || ((user) => {
+      const users = parent?.parent?.webserver?.users;
+      const fullUser = user && users ? users[user._id] : null;
+      return (fullUser && (fullUser.realname || fullUser.name)) || (user && user._id) || 'anonymous';
+    }),
+    stateStore: options.stateStore,
+    redisUrl: options.redisUrl || process.env.MESHAUDIO_REDIS_URL,
+    nodeId: options.nodeId || process.env.MESHAUDIO_NODE_ID,
+    recordingRetentionMs: options.recordingRetentionMs || Number(process.env.MESHAUDIO_RECORDING_RETENTION_MS || 30 * 24 * 60 * 60 * 1000),
+    isAdmin: options.isAdmin || ((user) => {
+      const users = parent?.parent?.webserver?.users;
+      const fullUser = user && users ? users[user._id] : null;
+      return Boolean(fullUser && fullUser.siteadmin === 0xffffffff);
+    }),
     logger: parent?.parent?.debug || console
   });
 
@@ -319,6 +2084,12 @@ module.exports.plugin = function meshAudioMeshCentralPlugin(parent, options = {}
     log.info ? log.info('MeshAudio plugin initialized') : log.log('MeshAudio plugin initialized');
   };
 
+  // MeshCentral only calls this for site administrators (config.json `hasAdminPanel`); the
+  // panel itself is served by the plugin router, which checks admin rights again.
+  plugin.handleAdminReq = (_req, res) => {
+    res.redirect(`${meshaudio.mountPath}/admin`);
+  };
+
   plugin.meshaudio = meshaudio;
   return plugin;
 };
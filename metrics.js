@@ -0,0 +1,116 @@
+// Minimal Prometheus text exposition (format 0.0.4): counters, gauges read at scrape time,
+// and fixed-bucket histograms. Label values are kept low-cardinality by the callers.
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (!entries.length) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+function createMetrics({ prefix = 'meshaudio_' } = {}) {
+  const metrics = [];
+
+  function counter(name, help) {
+    const values = new Map(); // labelKey -> { labels, value }
+    metrics.push({
+      name: prefix + name,
+      help,
+      type: 'counter',
+      lines(fullName) {
+        if (!values.size) {
+          return [`${fullName} 0`];
+        }
+        return [...values.values()].map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${value}`);
+      }
+    });
+    return {
+      inc(labels, amount = 1) {
+        const key = labelKey(labels);
+        const entry = values.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        values.set(key, entry);
+      }
+    };
+  }
+
+  // `collect` returns a number, or a list of { labels, value }.
+  function gauge(name, help, collect) {
+    metrics.push({
+      name: prefix + name,
+      help,
+      type: 'gauge',
+      lines(fullName) {
+        const result = collect();
+        const samples = Array.isArray(result) ? result : [{ value: result }];
+        return samples.map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${value}`);
+      }
+    });
+  }
+
+  // Like counters, renders an unlabelled zero series until something is observed. Labelled
+  // series stay until removed.
+  function histogram(name, help, buckets) {
+    const series = new Map(); // labelKey -> { labels, counts, sum, count }
+    const empty = () => ({ labels: {}, counts: buckets.map(() => 0), sum: 0, count: 0 });
+    metrics.push({
+      name: prefix + name,
+      help,
+      type: 'histogram',
+      lines(fullName) {
+        const entries = series.size ? [...series.values()] : [empty()];
+        return entries.flatMap(({ labels, counts, sum, count }) => {
+          let cumulative = 0;
+          const lines = buckets.map((le, idx) => {
+            cumulative += counts[idx];
+            return `${fullName}_bucket${formatLabels({ ...labels, le })} ${cumulative}`;
+          });
+          lines.push(
+            `${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${fullName}_sum${formatLabels(labels)} ${sum}`,
+            `${fullName}_count${formatLabels(labels)} ${count}`
+          );
+          return lines;
+        });
+      }
+    });
+    return {
+      observe(value, labels) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { ...empty(), labels: labels || {} };
+        const idx = buckets.findIndex((le) => value <= le);
+        if (idx !== -1) {
+          entry.counts[idx] += 1;
+        }
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      },
+      remove(labels) {
+        series.delete(labelKey(labels));
+      }
+    };
+  }
+
+  function render() {
+    const out = [];
+    for (const metric of metrics) {
+      out.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines(metric.name));
+    }
+    return `${out.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = createMetrics;
+module.exports.createMetrics = createMetrics;
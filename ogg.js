@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+
+// Minimal Ogg Opus muxer (RFC 3533 / RFC 7845). One Opus packet per page keeps the
+// writer stateless between frames, which suits both file recording and live streaming.
+
+const OPUS_RATE = 48000;
+const DEFAULT_PRE_SKIP = 312;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i += 1) {
+    let r = i << 24;
+    for (let j = 0; j < 8; j += 1) {
+      r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+    }
+    table[i] = r >>> 0;
+  }
+  return table;
+})();
+
+function oggCrc(buffer) {
+  let crc = 0;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ buffer[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+// Number of 48 kHz samples in an Opus packet, from its TOC byte (RFC 6716 section 3.1).
+function opusPacketSamples(packet) {
+  if (!packet || packet.length < 1) {
+    return 0;
+  }
+  const toc = packet[0];
+  const config = toc >> 3;
+  let frameUs;
+  if (config < 12) {
+    frameUs = [10000, 20000, 40000, 60000][config & 3];
+  } else if (config < 16) {
+    frameUs = [10000, 20000][config & 1];
+  } else {
+    frameUs = [2500, 5000, 10000, 20000][config & 3];
+  }
+  const code = toc & 3;
+  let frames = 1;
+  if (code === 1 || code === 2) {
+    frames = 2;
+  } else if (code === 3) {
+    frames = packet.length > 1 ? packet[1] & 0x3f : 0;
+  }
+  return (frames * frameUs * OPUS_RATE) / 1000000;
+}
+
+function buildOpusHead({ channels = 2, preSkip = DEFAULT_PRE_SKIP, inputSampleRate = OPUS_RATE } = {}) {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'ascii');
+  head.writeUInt8(1, 8); // version
+  head.writeUInt8(channels, 9);
+  head.writeUInt16LE(preSkip, 10);
+  head.writeUInt32LE(inputSampleRate, 12);
+  head.writeInt16LE(0, 16); // output gain
+  head.writeUInt8(0, 18); // channel mapping family (RTP)
+  return head;
+}
+
+function buildOpusTags({ vendor = 'meshaudio', tags = {} } = {}) {
+  const comments = Object.entries(tags)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => Buffer.from(`${key.toUpperCase()}=${value}`, 'utf8'));
+  const vendorBuf = Buffer.from(vendor, 'utf8');
+  const parts = [Buffer.from('OpusTags', 'ascii'), uint32(vendorBuf.length), vendorBuf, uint32(comments.length)];
+  for (const comment of comments) {
+    parts.push(uint32(comment.length), comment);
+  }
+  return Buffer.concat(parts);
+}
+
+function uint32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(value, 0);
+  return buf;
+}
+
+// A null packet yields a page with no segments, used for the final EOS page.
+function buildPage({ packet, granule, serial, sequence, headerType = 0 }) {
+  const lacing = [];
+  if (packet) {
+    let remaining = packet.length;
+    while (remaining >= 255) {
+      lacing.push(255);
+      remaining -= 255;
+    }
+    lacing.push(remaining);
+  }
+  if (lacing.length > 255) {
+    throw new Error('Ogg packet too large for a single page');
+  }
+
+  const header = Buffer.alloc(27 + lacing.length);
+  header.write('OggS', 0, 'ascii');
+  header.writeUInt8(0, 4); // stream structure version
+  header.writeUInt8(headerType, 5);
+  header.writeBigInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(serial, 14);
+  header.writeUInt32LE(sequence, 18);
+  header.writeUInt32LE(0, 22); // CRC placeholder
+  header.writeUInt8(lacing.length, 26);
+  Buffer.from(lacing).copy(header, 27);
+
+  const page = packet ? Buffer.concat([header, packet]) : header;
+  page.writeUInt32LE(oggCrc(page), 22);
+  return page;
+}
+
+// Creates a muxer for one logical Opus stream. Frame timestamps (ms) drive granule positions,
+// so gaps in the relayed stream show up as gaps in the file timeline rather than being squashed.
+function createOggOpusMuxer(options = {}) {
+  const {
+    channels = 2,
+    preSkip = DEFAULT_PRE_SKIP,
+    inputSampleRate = OPUS_RATE,
+    serial = crypto.randomBytes(4).readUInt32LE(0),
+    vendor,
+    tags
+  } = options;
+
+  let sequence = 0;
+  let baseTimestampMs = null;
+  let granule = preSkip;
+  let ended = false;
+
+  function nextPage(packet, pageGranule, headerType) {
+    const page = buildPage({ packet, granule: pageGranule, serial, sequence, headerType });
+    sequence += 1;
+    return page;
+  }
+
+  return {
+    header() {
+      return Buffer.concat([
+        nextPage(buildOpusHead({ channels, preSkip, inputSampleRate }), 0, 0x02),
+        nextPage(buildOpusTags({ vendor, tags }), 0, 0)
+      ]);
+    },
+
+    packet(opusPacket, timestampMs) {
+      if (ended) {
+        return Buffer.alloc(0);
+      }
+      if (baseTimestampMs === null) {
+        baseTimestampMs = timestampMs;
+      }
+      const startGranule = preSkip + Math.max(0, Math.round((timestampMs - baseTimestampMs) * (OPUS_RATE / 1000)));
+      // Never move backwards: a late or duplicate frame is appended right after the previous one.
+      granule = Math.max(granule, startGranule) + opusPacketSamples(opusPacket);
+      return nextPage(opusPacket, granule, 0);
+    },
+
+    end() {
+      if (ended) {
+        return Buffer.alloc(0);
+      }
+      ended = true;
+      return nextPage(null, granule, 0x04);
+    }
+  };
+}
+
+// Reads the first logical Opus stream of an Ogg file: its channel count and pre-skip from
+// OpusHead, and its audio packets in order. Packets continued across pages are reassembled.
+function parseOggOpus(buffer) {
+  let offset = 0;
+  let serial = null;
+  let partial = [];
+  const packets = [];
+  while (offset + 27 <= buffer.length) {
+    if (buffer.toString('ascii', offset, offset + 4) !== 'OggS') {
+      throw new Error(`not an Ogg page at byte ${offset}`);
+    }
+    const headerType = buffer.readUInt8(offset + 5);
+    const pageSerial = buffer.readUInt32LE(offset + 14);
+    const segments = buffer.readUInt8(offset + 26);
+    const lacing = buffer.subarray(offset + 27, offset + 27 + segments);
+    let body = offset + 27 + segments;
+    offset = body + lacing.reduce((sum, value) => sum + value, 0);
+    if (offset > buffer.length) {
+      throw new Error('truncated Ogg page');
+    }
+    if (serial === null) {
+      serial = pageSerial;
+    }
+    if (pageSerial !== serial) {
+      continue;
+    }
+    if (!(headerType & 0x01)) {
+      partial = [];
+    }
+    for (const size of lacing) {
+      partial.push(buffer.subarray(body, body + size));
+      body += size;
+      if (size < 255) {
+        packets.push(Buffer.concat(partial));
+        partial = [];
+      }
+    }
+  }
+
+  const head = packets[0];
+  if (!head || head.toString('ascii', 0, 8) !== 'OpusHead') {
+    throw new Error('not an Ogg Opus stream');
+  }
+  // packets[1] is OpusTags.
+  return {
+    channels: head.readUInt8(9),
+    preSkip: head.readUInt16LE(10),
+    packets: packets.slice(2)
+  };
+}
+
+module.exports = {
+  createOggOpusMuxer,
+  parseOggOpus,
+  opusPacketSamples,
+  buildOpusHead,
+  buildOpusTags,
+  oggCrc
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { createOggOpusMuxer } = require('./ogg');
+
+const ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+// Stores one Ogg Opus file per recorded session plus a JSON sidecar with its metadata.
+function createRecordingStore(options = {}) {
+  const { dir, retentionMs = 30 * 24 * 60 * 60 * 1000, logger = console } = options;
+
+  if (!dir) {
+    throw new Error('recordings dir is required');
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  const active = new Set(); // ids of recordings open in this process
+
+  function audioPath(id) {
+    return path.join(dir, `${id}.opus`);
+  }
+
+  function metaPath(id) {
+    return path.join(dir, `${id}.json`);
+  }
+
+  function writeMeta(meta) {
+    fs.writeFileSync(metaPath(meta.id), JSON.stringify(meta, null, 2));
+  }
+
+  // Starts a recording and returns a handle that accepts decoded audio frames (see web/meshaudio-framing.js).
+  function open({ id, sessionId, deviceId, userId, channels = 2 }) {
+    const meta = { id, sessionId, deviceId, userId, startedAt: Date.now(), endedAt: null, frames: 0, bytes: 0 };
+    const muxer = createOggOpusMuxer({ channels, tags: { device: deviceId, user: userId, session: sessionId } });
+    const out = fs.createWriteStream(audioPath(id));
+    out.on('error', (err) => {
+      logger.error ? logger.error(`MeshAudio recording ${id} failed`, err) : logger.log(`MeshAudio recording ${id} failed`, err);
+    });
+    out.write(muxer.header());
+    writeMeta(meta);
+    active.add(id);
+
+    let closed = false;
+    return {
+      id,
+      write(frame) {
+        if (closed) {
+          return;
+        }
+        const page = muxer.packet(frame.payload, frame.timestampMs);
+        meta.frames += 1;
+        meta.bytes += page.length;
+        out.write(page);
+      },
+      close() {
+        if (closed) {
+          return;
+        }
+        closed = true;
+        active.delete(id);
+        out.end(muxer.end());
+        meta.endedAt = Date.now();
+        writeMeta(meta);
+      }
+    };
+  }
+
+  function get(id) {
+    if (!ID_PATTERN.test(id) || !fs.existsSync(metaPath(id))) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(metaPath(id), 'utf8'));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function list() {
+    return fs
+      .readdirSync(dir)
+      .filter((name) => name.endsWith('.json'))
+      .map((name) => get(path.basename(name, '.json')))
+      .filter(Boolean)
+      .sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  function lastWritten(meta) {
+    if (meta.endedAt) {
+      return meta.endedAt;
+    }
+    try {
+      return fs.statSync(audioPath(meta.id)).mtimeMs;
+    } catch (_) {
+      return meta.startedAt || 0;
+    }
+  }
+
+  function remove(id) {
+    if (!get(id)) {
+      return false;
+    }
+    fs.rmSync(audioPath(id), { force: true });
+    fs.rmSync(metaPath(id), { force: true });
+    return true;
+  }
+
+  function prune() {
+    if (!retentionMs) {
+      return;
+    }
+    const cutoff = Date.now() - retentionMs;
+    for (const meta of list()) {
+      if (active.has(meta.id)) {
+        continue;
+      }
+      // Recordings cut short by a crash were never closed and have no endedAt.
+      if (lastWritten(meta) < cutoff) {
+        remove(meta.id);
+      }
+    }
+  }
+
+  return { open, get, list, remove, prune, audioPath };
+}
+
+module.exports = createRecordingStore;
+module.exports.createRecordingStore = createRecordingStore;
@@ -0,0 +1,118 @@
+const fs = require('fs');
+
+const RECORDING_POLICIES = ['off', 'optional', 'always'];
+const TRANSPORT_MODES = ['wss', 'webrtc'];
+const CONSENT_POLICIES = ['off', 'always', 'groups'];
+
+// Validators for the settings admins may change at runtime. Each returns the normalized
+// value or throws with a message suitable for the admin API.
+const FIELDS = {
+  tokenTtlMs(value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 10 * 1000 || n > 24 * 60 * 60 * 1000) {
+      throw new Error('tokenTtlMs must be a whole number of milliseconds between 10 seconds and 24 hours');
+    }
+    return n;
+  },
+  maxListenersPerDevice(value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > 100) {
+      throw new Error('maxListenersPerDevice must be between 1 and 100');
+    }
+    return n;
+  },
+  recordingPolicy(value) {
+    if (!RECORDING_POLICIES.includes(value)) {
+      throw new Error(`recordingPolicy must be one of ${RECORDING_POLICIES.join(', ')}`);
+    }
+    return value;
+  },
+  allowedModes(value) {
+    const modes = Array.isArray(value) ? [...new Set(value)] : [];
+    if (!modes.length || modes.some((mode) => !TRANSPORT_MODES.includes(mode))) {
+      throw new Error(`allowedModes must be a non-empty list of ${TRANSPORT_MODES.join(', ')}`);
+    }
+    return modes;
+  },
+  consentPolicy(value) {
+    if (!CONSENT_POLICIES.includes(value)) {
+      throw new Error(`consentPolicy must be one of ${CONSENT_POLICIES.join(', ')}`);
+    }
+    return value;
+  },
+  // Device group (MeshCentral mesh) ids whose devices need consent under the 'groups' policy.
+  consentGroups(value) {
+    if (!Array.isArray(value) || value.some((group) => typeof group !== 'string' || !group)) {
+      throw new Error('consentGroups must be a list of device group ids');
+    }
+    return [...new Set(value)];
+  }
+};
+
+// Runtime settings: `defaults` come from plugin options and env vars; values saved through
+// the admin panel are written to `file` and take precedence over them on the next start.
+function createSettingsStore(options = {}) {
+  const { file = null, defaults = {}, logger = console } = options;
+
+  const overrides = load();
+  let current = { ...defaults, ...overrides };
+
+  function load() {
+    if (!file || !fs.existsSync(file)) {
+      return {};
+    }
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const result = {};
+      for (const [key, value] of Object.entries(parsed)) {
+        if (FIELDS[key]) {
+          result[key] = FIELDS[key](value);
+        }
+      }
+      return result;
+    } catch (err) {
+      logger.error ? logger.error(`MeshAudio: unable to read settings file ${file}`, err) : logger.log(`MeshAudio: unable to read settings file ${file}`, err);
+      return {};
+    }
+  }
+
+  function get() {
+    return current;
+  }
+
+  // Applies a partial update; nothing is changed if any field is invalid.
+  function update(patch = {}) {
+    const next = {};
+    for (const [key, value] of Object.entries(patch)) {
+      if (!FIELDS[key]) {
+        throw new Error(`unknown setting: ${key}`);
+      }
+      next[key] = FIELDS[key](value);
+    }
+    // Saved before it takes effect, so a failed write leaves the settings as they were.
+    if (file) {
+      fs.writeFileSync(file, JSON.stringify({ ...overrides, ...next }, null, 2));
+    }
+    Object.assign(overrides, next);
+    current = { ...current, ...next };
+    return current;
+  }
+
+  // JSON-safe view for the admin API; policy hooks cannot be shown or edited as values.
+  function describe() {
+    return {
+      ...current,
+      recordingPolicy: typeof current.recordingPolicy === 'function' ? 'custom' : current.recordingPolicy,
+      consentPolicy: typeof current.consentPolicy === 'function' ? 'custom' : current.consentPolicy,
+      persisted: Boolean(file)
+    };
+  }
+
+  return { get, update, describe };
+}
+
+module.exports = createSettingsStore;
+module.exports.createSettingsStore = createSettingsStore;
+module.exports.RECORDING_POLICIES = RECORDING_POLICIES;
+module.exports.TRANSPORT_MODES = TRANSPORT_MODES;
+module.exports.CONSENT_POLICIES = CONSENT_POLICIES;
@@ -0,0 +1,208 @@
+const { EventEmitter } = require('events');
+
+// Shared state for running MeshAudio on several MeshCentral peers. Live sockets stay in the
+// plugin's own Maps; a store only holds what another node, or this node after a restart,
+// needs to find them again, plus a bus addressed by node id.
+//
+// Every store implements:
+//   saveSession(sessionId, session), loadSession(sessionId), deleteSession(sessionId)
+//   setAgentNode(deviceId, nodeId, ttlMs), getAgentNode(deviceId), clearAgentNode(deviceId, nodeId)
+//   publish(nodeId, message), subscribe(nodeId, handler) -> unsubscribe, ping(), close()
+// All methods but subscribe return promises. Bus messages are plain objects whose `data`
+// field may be a Buffer carrying a binary frame.
+
+// Single-process store: sessions are lost on restart and the bus only reaches plugin
+// instances sharing this object.
+function createMemoryStateStore() {
+  const sessions = new Map(); // sessionId -> session
+  const agentNodes = new Map(); // deviceId -> { nodeId, expiresAt }
+  const bus = new EventEmitter();
+  bus.setMaxListeners(0);
+
+  function sweep(now) {
+    for (const [sessionId, session] of sessions) {
+      if (session.expiresAt < now) {
+        sessions.delete(sessionId);
+      }
+    }
+  }
+
+  return {
+    async saveSession(sessionId, session) {
+      sweep(Date.now());
+      sessions.set(sessionId, { ...session });
+    },
+
+    async loadSession(sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session || session.expiresAt < Date.now()) {
+        sessions.delete(sessionId);
+        return null;
+      }
+      return { ...session };
+    },
+
+    async deleteSession(sessionId) {
+      sessions.delete(sessionId);
+    },
+
+    async setAgentNode(deviceId, nodeId, ttlMs) {
+      agentNodes.set(deviceId, { nodeId, expiresAt: Date.now() + ttlMs });
+    },
+
+    async getAgentNode(deviceId) {
+      const entry = agentNodes.get(deviceId);
+      return entry && entry.expiresAt >= Date.now() ? entry.nodeId : null;
+    },
+
+    async clearAgentNode(deviceId, nodeId) {
+      const entry = agentNodes.get(deviceId);
+      if (entry && entry.nodeId === nodeId) {
+        agentNodes.delete(deviceId);
+      }
+    },
+
+    // Delivery is deferred so handlers never run inside the publisher's call stack, as with a real bus.
+    async publish(nodeId, message) {
+      setImmediate(() => bus.emit(nodeId, message));
+    },
+
+    subscribe(nodeId, handler) {
+      bus.on(nodeId, handler);
+      return () => bus.off(nodeId, handler);
+    },
+
+    async ping() {
+      return true;
+    },
+
+    async close() {
+      bus.removeAllListeners();
+    }
+  };
+}
+
+// Deletes the agent location only if this node still owns it, so a stale node cannot
+// clear the entry of the node the agent reconnected to.
+const CLEAR_IF_OWNER = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0";
+
+function encodeMessage(message) {
+  if (Buffer.isBuffer(message.data)) {
+    return JSON.stringify({ ...message, data: message.data.toString('base64'), base64: true });
+  }
+  return JSON.stringify(message);
+}
+
+function decodeMessage(text) {
+  const message = JSON.parse(text);
+  if (message.base64) {
+    message.data = Buffer.from(message.data, 'base64');
+    delete message.base64;
+  }
+  return message;
+}
+
+// Redis-backed store (anything speaking the Redis protocol). Sessions expire with their
+// token, and agent locations with their lease unless the owning node refreshes them.
+function createRedisStateStore(options = {}) {
+  const { url = process.env.MESHAUDIO_REDIS_URL, prefix = 'meshaudio:', logger = console } = options;
+
+  let Redis;
+  try {
+    Redis = require('ioredis');
+  } catch (_) {
+    throw new Error('the Redis state store requires the ioredis package');
+  }
+
+  const client = new Redis(url);
+  // A connection in subscriber mode cannot run other commands.
+  const subscriber = new Redis(url);
+  const handlers = new Map(); // channel -> Set<handler>
+
+  const onError = (err) => {
+    logger.error ? logger.error('MeshAudio Redis state store error', err) : logger.log('MeshAudio Redis state store error', err);
+  };
+  client.on('error', onError);
+  subscriber.on('error', onError);
+
+  subscriber.on('message', (channel, text) => {
+    const set = handlers.get(channel);
+    if (!set) {
+      return;
+    }
+    let message;
+    try {
+      message = decodeMessage(text);
+    } catch (_) {
+      return;
+    }
+    set.forEach((handler) => handler(message));
+  });
+
+  const sessionKey = (sessionId) => `${prefix}session:${sessionId}`;
+  const agentKey = (deviceId) => `${prefix}agent:${deviceId}`;
+  const nodeChannel = (nodeId) => `${prefix}node:${nodeId}`;
+
+  return {
+    async saveSession(sessionId, session) {
+      const ttlMs = Math.max(1, session.expiresAt - Date.now());
+      await client.set(sessionKey(sessionId), JSON.stringify(session), 'PX', ttlMs);
+    },
+
+    async loadSession(sessionId) {
+      const text = await client.get(sessionKey(sessionId));
+      return text ? JSON.parse(text) : null;
+    },
+
+    async deleteSession(sessionId) {
+      await client.del(sessionKey(sessionId));
+    },
+
+    async setAgentNode(deviceId, nodeId, ttlMs) {
+      await client.set(agentKey(deviceId), nodeId, 'PX', ttlMs);
+    },
+
+    async getAgentNode(deviceId) {
+      return client.get(agentKey(deviceId));
+    },
+
+    async clearAgentNode(deviceId, nodeId) {
+      await client.eval(CLEAR_IF_OWNER, 1, agentKey(deviceId), nodeId);
+    },
+
+    async publish(nodeId, message) {
+      await client.publish(nodeChannel(nodeId), encodeMessage(message));
+    },
+
+    subscribe(nodeId, handler) {
+      const channel = nodeChannel(nodeId);
+      if (!handlers.has(channel)) {
+        handlers.set(channel, new Set());
+        subscriber.subscribe(channel).catch(onError);
+      }
+      handlers.get(channel).add(handler);
+      return () => {
+        const set = handlers.get(channel);
+        if (set && set.delete(handler) && set.size === 0) {
+          handlers.delete(channel);
+          subscriber.unsubscribe(channel).catch(onError);
+        }
+      };
+    },
+
+    async ping() {
+      await client.ping();
+      return true;
+    },
+
+    async close() {
+      handlers.clear();
+      await Promise.all([client.quit(), subscriber.quit()]);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStateStore,
+  createRedisStateStore
+};
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMeshCentralAuthorizer } = require('../meshaudio');
+const { startRelay } = require('./helpers');
+
+const users = { alice: { _id: 'user//alice' } };
+
+// Just enough of MeshCentral's server object for a rights lookup: alice may remote-control
+// node//allowed, only see node//viewonly, and node//missing does not exist.
+function stubMeshServer() {
+  const nodes = {
+    'node//allowed': { rights: 8 | 1 },
+    'node//viewonly': { rights: 1 }
+  };
+  return {
+    config: { domains: { '': { id: '' } } },
+    webserver: {
+      users: { 'user//alice': { _id: 'user//alice', domain: '' } },
+      GetNodeWithRights(domain, user, nodeId, callback) {
+        const node = nodes[nodeId];
+        setImmediate(() => (node ? callback({ _id: nodeId }, node.rights, true) : callback(null, 0, false)));
+      }
+    }
+  };
+}
+
+test('denies a token for a device the authorizer refuses, with its reason', async (t) => {
+  const relay = await startRelay({ authorizeDevice: (user, deviceId) => ({ allowed: deviceId === 'dev1', reason: 'not your device' }) }, { users });
+  t.after(() => relay.close());
+
+  const denied = await relay.token({ deviceId: 'dev2' }, { 'x-test-user': 'alice' });
+  assert.equal(denied.status, 403);
+  assert.deepEqual(denied.body, { error: 'forbidden', reason: 'not your device' });
+  assert.equal((await relay.token({}, { 'x-test-user': 'alice' })).status, 200);
+  assert.equal((await relay.token({})).status, 401);
+});
+
+test('asks MeshCentral for the remote control right on the node', async () => {
+  const authorize = createMeshCentralAuthorizer(stubMeshServer());
+  assert.deepEqual(await authorize(users.alice, 'node//allowed'), { allowed: true });
+  assert.deepEqual(await authorize(users.alice, 'node//viewonly'), { allowed: false, reason: 'missing audio listen right' });
+  assert.deepEqual(await authorize(users.alice, 'node//missing'), { allowed: false, reason: 'device not found' });
+  assert.deepEqual(await authorize({ _id: 'user//mallory' }, 'node//allowed'), { allowed: false, reason: 'unknown user' });
+  assert.deepEqual(await createMeshCentralAuthorizer({})(users.alice, 'node//allowed'), { allowed: false, reason: 'MeshCentral rights lookup unavailable' });
+});
+
+test('issues tokens through the MeshCentral authorizer', async (t) => {
+  const relay = await startRelay({ authorizeDevice: createMeshCentralAuthorizer(stubMeshServer()) }, { users });
+  t.after(() => relay.close());
+  const as = { 'x-test-user': 'alice' };
+
+  assert.equal((await relay.token({ deviceId: 'node//allowed' }, as)).status, 200);
+  const viewOnly = await relay.token({ deviceId: 'node//viewonly' }, as);
+  assert.equal(viewOnly.status, 403);
+  assert.equal(viewOnly.body.reason, 'missing audio listen right');
+  const missing = await relay.token({ deviceId: 'node//missing' }, as);
+  assert.equal(missing.status, 403);
+  assert.equal(missing.body.reason, 'device not found');
+});
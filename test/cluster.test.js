@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStateStore } = require('../state');
+const { startRelay, waitUntil } = require('./helpers');
+
+// Two relay nodes behind one state store, the agent on the first and the viewer on the second.
+async function startCluster(t) {
+  const stateStore = createMemoryStateStore();
+  const a = await startRelay({ stateStore, nodeId: 'node-a' });
+  const b = await startRelay({ stateStore, nodeId: 'node-b' });
+  t.after(async () => {
+    await b.close();
+    await a.close();
+    await stateStore.close();
+  });
+  return { a, b };
+}
+
+test('bridges a viewer on one node to an agent on another', async (t) => {
+  const { a, b } = await startCluster(t);
+  const agent = await a.agent();
+
+  const viewer = b.viewer();
+  await viewer.start();
+  await viewer.waitForFrames(20);
+  assert.equal(agent.stats.connects, 1);
+  assert.equal(b.plugin.agents.has('dev1'), false);
+  assert.ok(a.plugin.listenersByDevice.get('dev1').has(viewer.session.sessionId));
+  assert.equal(viewer.stats().lost, 0);
+
+  await viewer.stop();
+  await waitUntil(() => !agent.streaming);
+});
+
+test('tells a viewer on another node when the agent disconnects', async (t) => {
+  const { a, b } = await startCluster(t);
+  const agent = await a.agent();
+
+  const viewer = b.viewer();
+  await viewer.start();
+  await viewer.waitForFrames(5);
+  agent.close();
+  await viewer.waitFor((msg) => msg.type === 'status' && msg.state === 'agent_disconnected');
+  assert.equal(a.plugin.listenersByDevice.has('dev1'), false);
+});
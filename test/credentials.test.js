@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const WebSocket = require('ws');
+const createCredentialStore = require('../credentials');
+const { quiet, startRelay, tempDir } = require('./helpers');
+
+// Opens an agent socket and resolves with the close code once the relay hangs up, or null if it
+// is still open after `waitMs`.
+function agentCloseCode(relay, deviceId, token, waitMs = 500) {
+  return new Promise((resolve) => {
+    const url = `${relay.base.replace(/^http/, 'ws')}/agent?deviceId=${encodeURIComponent(deviceId)}&token=${encodeURIComponent(token)}`;
+    const ws = new WebSocket(url);
+    const timer = setTimeout(() => {
+      ws.terminate();
+      resolve(null);
+    }, waitMs);
+    ws.on('close', (code) => {
+      clearTimeout(timer);
+      resolve(code);
+    });
+    ws.on('error', () => {});
+  });
+}
+
+test('credentials are bound to their device and replaced on rotation', () => {
+  const file = path.join(tempDir('meshaudio-cred-'), 'credentials.json');
+  const store = createCredentialStore({ file, logger: quiet });
+  const first = store.issue('dev1');
+  assert.equal(store.verify('dev1', first.credential), true);
+  assert.equal(store.verify('dev2', first.credential), false);
+  assert.equal(store.verify('dev1', `${first.keyId}.forged`), false);
+
+  const rotated = store.issue('dev1');
+  assert.notEqual(rotated.keyId, first.keyId);
+  assert.equal(store.verify('dev1', first.credential), false);
+  assert.equal(store.verify('dev1', rotated.credential), true);
+
+  // The generated secret and the devices survive a restart.
+  const reloaded = createCredentialStore({ file, logger: quiet });
+  assert.equal(reloaded.verify('dev1', rotated.credential), true);
+  assert.deepEqual(reloaded.list().map((entry) => entry.deviceId), ['dev1']);
+
+  assert.equal(reloaded.revoke('dev1'), true);
+  assert.equal(reloaded.revoke('dev1'), false);
+  assert.equal(reloaded.verify('dev1', rotated.credential), false);
+});
+
+test('agents connect with their own credential only', async (t) => {
+  const relay = await startRelay({ allowLegacyAgentSecret: false });
+  t.after(() => relay.close());
+  const issue = async (deviceId) => (await fetch(`${relay.base}/admin/credentials`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ deviceId })
+  })).json();
+
+  const first = await issue('dev1');
+  assert.equal(await agentCloseCode(relay, 'dev2', first.credential), 1008, 'impersonating another device');
+  assert.equal(await agentCloseCode(relay, 'dev1', 'test-secret'), 1008, 'legacy secret without the opt-in');
+
+  const rotated = await issue('dev1');
+  assert.equal(await agentCloseCode(relay, 'dev1', first.credential), 1008, 'rotated-out credential');
+
+  const agent = await relay.agent({ secret: rotated.credential });
+  const disconnected = new Promise((resolve) => agent.once('disconnected', (code, reason) => resolve({ code, reason })));
+  const resp = await fetch(`${relay.base}/admin/credentials/dev1`, { method: 'DELETE' });
+  assert.deepEqual(await resp.json(), { deviceId: 'dev1', revoked: true });
+  assert.deepEqual(await disconnected, { code: 1008, reason: 'credential revoked' });
+  agent.close();
+  assert.equal(await agentCloseCode(relay, 'dev1', rotated.credential), 1008);
+  assert.equal((await fetch(`${relay.base}/admin/credentials/dev1`, { method: 'DELETE' })).status, 404);
+});
+
+test('the shared secret works only when legacy agents are allowed', async (t) => {
+  const relay = await startRelay({ allowLegacyAgentSecret: true });
+  t.after(() => relay.close());
+  assert.equal(await agentCloseCode(relay, 'dev1', 'test-secret'), null);
+  assert.equal(await agentCloseCode(relay, 'dev1', 'wrong-secret'), 1008);
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const WebSocket = require('ws');
+const e2eCrypto = require('../web/meshaudio-e2e');
+const framing = require('../web/meshaudio-framing');
+const { parseOggOpus } = require('../ogg');
+const { TONE_OPUS, startRelay, waitUntil, tempDir } = require('./helpers');
+
+const tone = parseOggOpus(fs.readFileSync(TONE_OPUS));
+
+async function listenerKeyPairs() {
+  const viewer = await e2eCrypto.createKeyPair();
+  const agent = await e2eCrypto.createKeyPair();
+  return {
+    viewer: await e2eCrypto.deriveListenerKeys(viewer, agent.publicKey, 'viewer'),
+    agent: await e2eCrypto.deriveListenerKeys(agent, viewer.publicKey, 'agent')
+  };
+}
+
+test('talkback keeps numbering frames across push-to-talk presses', async () => {
+  const keys = await listenerKeyPairs();
+  const seal = e2eCrypto.createTalkbackSealer(keys.viewer.talkKey);
+  const open = e2eCrypto.createTalkbackOpener(keys.agent.talkKey);
+  const payload = Uint8Array.of(1, 2, 3);
+
+  // Each press starts a new microphone whose own seq restarts at 0; the key stays the same.
+  const first = [await seal(payload), await seal(payload)];
+  const second = [await seal(payload), await seal(payload)];
+  const sealed = [...first, ...second];
+  assert.deepEqual(sealed.map((frame) => frame.seq), [0, 1, 2, 3]);
+  assert.equal(new Set(sealed.map((frame) => Buffer.from(frame.payload).toString('hex'))).size, 4);
+
+  for (const frame of sealed) {
+    assert.deepEqual(await open(frame.seq, frame.payload), payload);
+  }
+  await assert.rejects(open(first[0].seq, first[0].payload), (err) => err.code === 'rejected');
+});
+
+test('exchanges keys and carries audio and talkback encrypted end to end', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.close());
+  const agent = await relay.agent({ file: TONE_OPUS });
+  const joined = new Promise((resolve) => agent.once('e2e', resolve));
+
+  const out = `${tempDir('meshaudio-e2e-')}/capture.opus`;
+  const viewer = relay.viewer({ e2e: true, out });
+  await viewer.start();
+  await viewer.waitForFrames(20);
+  const info = await joined;
+  const { e2e } = viewer.stats();
+  assert.equal(e2e.deviceFingerprint, info.deviceFingerprint);
+  assert.equal(e2e.viewerFingerprint, info.viewerFingerprint);
+  assert.ok(viewer.frames.every((frame) => frame.encrypted));
+  assert.equal(viewer.stats().undecryptable, 0);
+
+  const talkback = [];
+  agent.on('talkback', (frame) => talkback.push(frame));
+  for (let press = 0; press < 2; press += 1) {
+    const earlier = new Set(viewer.messages.map((entry) => entry.msg));
+    viewer.send({ action: 'talk_start' });
+    await viewer.waitFor((msg) => msg.type === 'talk_started' && !earlier.has(msg));
+    // The microphone's seq restarts with every press.
+    for (let seq = 0; seq < 3; seq += 1) {
+      await viewer.sendTalkback(tone.packets[seq], seq);
+    }
+    await waitUntil(() => talkback.length === (press + 1) * 3);
+    viewer.send({ action: 'talk_stop' });
+  }
+  assert.ok(talkback.every((frame) => frame.encrypted));
+  assert.deepEqual(talkback.map((frame) => frame.seq), [0, 1, 2, 3, 4, 5]);
+  talkback.forEach((frame, i) => assert.deepEqual(Buffer.from(frame.payload), tone.packets[i % 3]));
+  assert.equal(agent.stats.talkbackRejected, 0);
+
+  await viewer.stop();
+  const received = parseOggOpus(fs.readFileSync(out)).packets;
+  const offset = tone.packets.findIndex((packet) => packet.equals(received[0]));
+  assert.notEqual(offset, -1);
+  received.forEach((packet, i) => assert.ok(packet.equals(tone.packets[(offset + i) % tone.packets.length]), `packet ${i} differs`));
+});
+
+// An agent that claims end-to-end support and then streams in the clear anyway.
+function connectPlaintextAgent(relay) {
+  const ws = new WebSocket(`${relay.base.replace(/^http/, 'ws')}/agent?deviceId=dev1&token=test-secret`);
+  let timer = null;
+  ws.on('open', () => {
+    ws.send(JSON.stringify({ type: 'hello', versions: framing.VERSIONS }));
+    ws.send(JSON.stringify({ type: 'capabilities', codecs: ['opus'], sampleRates: [48000], channels: [1], bitrates: [], e2e: true }));
+  });
+  ws.on('message', (data, isBinary) => {
+    const msg = isBinary ? null : JSON.parse(data.toString('utf8'));
+    if (msg && msg.action === 'start') {
+      let seq = 0;
+      timer = setInterval(() => {
+        const frame = { version: framing.LATEST_VERSION, type: framing.FRAME_TYPES.AUDIO, seq, timestampMs: Date.now(), codec: 'opus', payload: tone.packets[seq % tone.packets.length] };
+        seq += 1;
+        ws.send(framing.encode(frame), { binary: true });
+      }, 20);
+    }
+  });
+  ws.on('close', () => clearInterval(timer));
+  return ws;
+}
+
+test('an end-to-end session refuses plaintext audio', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.close());
+  const agent = connectPlaintextAgent(relay);
+  t.after(() => agent.close());
+  await waitUntil(() => relay.plugin.agents.has('dev1') && relay.plugin.agents.get('dev1').capabilities);
+
+  const viewer = relay.viewer({ e2e: true });
+  await viewer.start();
+  await waitUntil(() => viewer.stats().undecryptable >= 10);
+  assert.equal(viewer.frames.length, 0);
+});
+
+test('an end-to-end session refuses plaintext talkback', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.close());
+  const agent = await relay.agent({ file: TONE_OPUS });
+  const heard = [];
+  agent.on('talkback', (frame) => heard.push(frame));
+
+  const { body: session } = await relay.token();
+  const { encoded: publicKey } = await e2eCrypto.createKeyPair();
+  const ws = new WebSocket(`${relay.base.replace(/^http/, 'ws')}/view?sessionId=${session.sessionId}&token=${session.token}`);
+  t.after(() => ws.close());
+  const messages = [];
+  ws.on('message', (data, isBinary) => {
+    if (!isBinary) {
+      messages.push(JSON.parse(data.toString('utf8')));
+    }
+  });
+  await new Promise((resolve) => ws.once('open', resolve));
+  ws.send(JSON.stringify({ action: 'hello', versions: framing.VERSIONS }));
+  ws.send(JSON.stringify({ action: 'start', mode: 'wss', e2e: { publicKey } }));
+  await waitUntil(() => messages.some((msg) => msg.type === 'e2e_key'));
+  ws.send(JSON.stringify({ action: 'talk_start' }));
+  await waitUntil(() => messages.some((msg) => msg.type === 'talk_started'));
+
+  for (let seq = 0; seq < 3; seq += 1) {
+    ws.send(framing.encode({ type: framing.FRAME_TYPES.TALKBACK, seq, timestampMs: Date.now(), codec: 'opus', payload: tone.packets[seq] }), { binary: true });
+  }
+  await waitUntil(() => agent.stats.talkbackFrames === 3);
+  await waitUntil(() => agent.stats.talkbackRejected === 3);
+  assert.equal(heard.length, 0);
+});
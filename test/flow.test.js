@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createViewerSendQueue } = require('../flow');
+
+// A socket whose writes stay buffered until deliver() is called, like a link that has stopped.
+function fakeSocket() {
+  const ws = new EventEmitter();
+  const pending = [];
+  ws.readyState = 1;
+  ws.bufferedAmount = 0;
+  ws.sent = 0;
+  ws.send = (data, _options, callback) => {
+    ws.bufferedAmount += data.length;
+    ws.sent += 1;
+    pending.push({ length: data.length, callback });
+  };
+  ws.deliver = () => {
+    for (const { length, callback } of pending.splice(0)) {
+      ws.bufferedAmount -= length;
+      callback();
+    }
+  };
+  return ws;
+}
+
+// 20 ms Opus frames at 32 kb/s.
+const FRAME = Buffer.alloc(80);
+
+test('lets the socket buffer hold about maxDelayMs of audio at the stream rate', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const ws = fakeSocket();
+  const queue = createViewerSendQueue(ws, { maxDelayMs: 500, minBufferedBytes: 0 });
+
+  for (let i = 0; i < 100; i += 1) {
+    queue.push(FRAME);
+    ws.deliver();
+    t.mock.timers.tick(20);
+  }
+  // 4000 bytes a second for 500 ms.
+  assert.ok(Math.abs(queue.maxBufferedBytes - 2000) < 100, `budget ${queue.maxBufferedBytes}`);
+
+  const sent = ws.sent;
+  for (let i = 0; i < 40; i += 1) {
+    queue.push(FRAME);
+    t.mock.timers.tick(20);
+  }
+  assert.ok(ws.bufferedAmount <= queue.maxBufferedBytes + FRAME.length);
+  assert.ok(ws.sent - sent < 40);
+  queue.close();
+});
+
+test('never lets the socket buffer grow past maxBufferedBytes', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const ws = fakeSocket();
+  const queue = createViewerSendQueue(ws, { maxBufferedBytes: 1000, maxDelayMs: 60 * 1000 });
+
+  for (let i = 0; i < 100; i += 1) {
+    queue.push(FRAME);
+    t.mock.timers.tick(20);
+  }
+  assert.equal(queue.maxBufferedBytes, 1000);
+  assert.equal(ws.bufferedAmount, 1040);
+  queue.close();
+});
+
+test('drops frames that waited longer than maxDelayMs', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const ws = fakeSocket();
+  let dropped = 0;
+  const queue = createViewerSendQueue(ws, { maxDelayMs: 200, onDrop: (count) => (dropped += count) });
+
+  for (let i = 0; i < 100; i += 1) {
+    queue.push(FRAME);
+    t.mock.timers.tick(20);
+  }
+  assert.ok(dropped > 0);
+  assert.ok(queue.queued <= 11, `queued ${queue.queued}`);
+  queue.close();
+});
+
+test('reports a stalled viewer even after the stream goes quiet', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const ws = fakeSocket();
+  let stalls = 0;
+  const queue = createViewerSendQueue(ws, { maxDelayMs: 60 * 1000, stallTimeoutMs: 2000, onStall: () => (stalls += 1) });
+
+  for (let i = 0; i < 60; i += 1) {
+    queue.push(FRAME);
+  }
+  assert.ok(queue.queued > 0);
+  t.mock.timers.tick(1500);
+  assert.equal(stalls, 0);
+  t.mock.timers.tick(1000);
+  assert.equal(stalls, 1);
+  t.mock.timers.tick(5000);
+  assert.equal(stalls, 1);
+  queue.close();
+});
+
+test('stops checking once the socket closes', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const ws = fakeSocket();
+  let stalls = 0;
+  const queue = createViewerSendQueue(ws, { stallTimeoutMs: 2000, onStall: () => (stalls += 1) });
+
+  for (let i = 0; i < 60; i += 1) {
+    queue.push(FRAME);
+  }
+  ws.readyState = 3;
+  ws.emit('close');
+  assert.equal(queue.queued, 0);
+  t.mock.timers.tick(5000);
+  assert.equal(stalls, 0);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encode, decode, FRAME_TYPES, FLAGS, negotiate } = require('../web/meshaudio-framing');
+
+const payload = Buffer.from([1, 2, 3, 4, 5]);
+
+function roundTrip(frame) {
+  const bytes = encode(frame);
+  assert.ok(Buffer.isBuffer(bytes));
+  return decode(bytes);
+}
+
+function assertCode(fn, code) {
+  assert.throws(fn, (err) => err.code === code);
+}
+
+test('v0 audio and talkback round-trip', () => {
+  for (const type of [FRAME_TYPES.AUDIO, FRAME_TYPES.TALKBACK]) {
+    const frame = roundTrip({ version: 0, type, seq: 4294967295, timestampMs: 1700000000123, payload });
+    assert.equal(frame.version, 0);
+    assert.equal(frame.type, type);
+    assert.equal(frame.seq, 4294967295);
+    assert.equal(frame.timestampMs, 1700000000123);
+    assert.equal(frame.codec, null);
+    assert.equal(frame.level, null);
+    assert.equal(frame.encrypted, false);
+    assert.deepEqual(Buffer.from(frame.payload), payload);
+  }
+});
+
+test('v0 drops v1-only fields', () => {
+  const frame = roundTrip({ version: 0, type: FRAME_TYPES.AUDIO, seq: 1, timestampMs: 5, codec: 'opus', streamId: 3, level: { rms: -20, peak: -6 }, payload });
+  assert.equal(frame.codec, null);
+  assert.equal(frame.streamId, 0);
+  assert.equal(frame.level, null);
+});
+
+test('v1 audio carries level, codec and stream id', () => {
+  const frame = roundTrip({ type: FRAME_TYPES.AUDIO, seq: 42, timestampMs: -1500, codec: 'opus', streamId: 7, level: { rms: -30, peak: -12 }, payload });
+  assert.equal(frame.version, 1);
+  assert.equal(frame.type, FRAME_TYPES.AUDIO);
+  assert.equal(frame.flags, FLAGS.LEVEL);
+  assert.equal(frame.codec, 'opus');
+  assert.equal(frame.streamId, 7);
+  assert.equal(frame.seq, 42);
+  assert.equal(frame.timestampMs, -1500);
+  assert.deepEqual(frame.level, { rms: -30, peak: -12 });
+  assert.deepEqual(Buffer.from(frame.payload), payload);
+});
+
+test('v1 talkback and pcm codec', () => {
+  const frame = roundTrip({ type: FRAME_TYPES.TALKBACK, seq: 9, timestampMs: 10, codec: 'pcm', payload });
+  assert.equal(frame.type, FRAME_TYPES.TALKBACK);
+  assert.equal(frame.codec, 'pcm');
+  assert.equal(frame.level, null);
+  assert.deepEqual(Buffer.from(frame.payload), payload);
+});
+
+test('keepalive', () => {
+  const frame = roundTrip({ type: FRAME_TYPES.KEEPALIVE, timestampMs: 77 });
+  assert.equal(frame.type, FRAME_TYPES.KEEPALIVE);
+  assert.equal(frame.timestampMs, 77);
+  assert.equal(frame.payload.length, 0);
+});
+
+test('clock sync request and response', () => {
+  const request = roundTrip({ type: FRAME_TYPES.CLOCK_SYNC, timestampMs: 1000 });
+  assert.equal(request.flags & FLAGS.RESPONSE, 0);
+  assert.equal(request.timestampMs, 1000);
+  assert.equal(request.originateMs, undefined);
+
+  const response = roundTrip({ type: FRAME_TYPES.CLOCK_SYNC, timestampMs: 1300, originateMs: 1000, receiveMs: 1200 });
+  assert.equal(response.flags & FLAGS.RESPONSE, FLAGS.RESPONSE);
+  assert.equal(response.timestampMs, 1300);
+  assert.equal(response.originateMs, 1000);
+  assert.equal(response.receiveMs, 1200);
+});
+
+test('end of stream with and without a reason', () => {
+  const withReason = roundTrip({ type: FRAME_TYPES.END_OF_STREAM, seq: 99, reason: 'source removed' });
+  assert.equal(withReason.seq, 99);
+  assert.equal(withReason.reason, 'source removed');
+
+  const withoutReason = roundTrip({ type: FRAME_TYPES.END_OF_STREAM, seq: 100 });
+  assert.equal(withoutReason.reason, null);
+});
+
+test('encrypted flag', () => {
+  const frame = roundTrip({ type: FRAME_TYPES.AUDIO, seq: 3, timestampMs: 0, codec: 'opus', encrypted: true, payload });
+  assert.equal(frame.encrypted, true);
+  assert.equal(frame.flags & FLAGS.ENCRYPTED, FLAGS.ENCRYPTED);
+  assert.deepEqual(Buffer.from(frame.payload), payload);
+});
+
+test('encode returns null for frames v0 cannot carry', () => {
+  for (const type of [FRAME_TYPES.KEEPALIVE, FRAME_TYPES.CLOCK_SYNC, FRAME_TYPES.END_OF_STREAM]) {
+    assert.equal(encode({ version: 0, type, seq: 1 }), null);
+  }
+  assert.equal(encode({ version: 0, type: FRAME_TYPES.AUDIO, seq: 1, encrypted: true, payload }), null);
+});
+
+test('decode accepts ArrayBuffer and typed array views', () => {
+  const bytes = encode({ type: FRAME_TYPES.AUDIO, seq: 5, timestampMs: 6, payload });
+  const copy = new Uint8Array(bytes).buffer;
+  assert.equal(decode(copy).seq, 5);
+  assert.equal(decode(new DataView(copy)).seq, 5);
+});
+
+test('unsupported versions', () => {
+  const bytes = encode({ type: FRAME_TYPES.AUDIO, seq: 1, timestampMs: 0, payload });
+  bytes[0] = 0xa2;
+  assertCode(() => decode(bytes), 'unsupported_version');
+  assertCode(() => encode({ version: 2, type: FRAME_TYPES.AUDIO }), 'unsupported_version');
+});
+
+test('malformed frames', () => {
+  assertCode(() => decode(Buffer.alloc(0)), 'malformed');
+  assertCode(() => decode('not binary'), 'malformed');
+  assertCode(() => decode(Buffer.from([0x7f, 0, 0])), 'malformed');
+
+  const v0 = encode({ version: 0, type: FRAME_TYPES.AUDIO, seq: 1, timestampMs: 0 });
+  assertCode(() => decode(v0.subarray(0, 12)), 'malformed');
+  const v1 = encode({ type: FRAME_TYPES.AUDIO, seq: 1, timestampMs: 0 });
+  assertCode(() => decode(v1.subarray(0, 16)), 'malformed');
+
+  const unknownType = Buffer.from(v1);
+  unknownType[1] = 0x33;
+  assertCode(() => decode(unknownType), 'malformed');
+  assertCode(() => encode({ type: 0x33 }), 'malformed');
+
+  const withLevel = encode({ type: FRAME_TYPES.AUDIO, seq: 1, timestampMs: 0, level: { rms: -1, peak: -1 } });
+  assertCode(() => decode(withLevel.subarray(0, 18)), 'malformed');
+
+  const response = encode({ type: FRAME_TYPES.CLOCK_SYNC, timestampMs: 3, originateMs: 1, receiveMs: 2 });
+  assertCode(() => decode(response.subarray(0, response.length - 1)), 'malformed');
+});
+
+test('negotiate picks the highest common version', () => {
+  assert.equal(negotiate([0, 1]), 1);
+  assert.equal(negotiate([0, 5]), 0);
+  assert.equal(negotiate([5]), null);
+  assert.equal(negotiate('1'), null);
+});
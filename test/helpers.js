@@ -0,0 +1,130 @@
+const http = require('http');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const createMeshAudioPlugin = require('../meshaudio');
+const createSimulatedAgent = require('../tools/meshaudio-agent');
+const createHeadlessViewer = require('../tools/meshaudio-viewer');
+
+// 1 s of a 440 Hz tone, mono 48 kHz Opus in 20 ms packets.
+const TONE_OPUS = path.join(__dirname, 'fixtures', 'tone-440.opus');
+
+const quiet = { log() {}, info() {}, warn() {}, error() {} };
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Starts the relay on a free port. Everything started through the returned handle is shut
+// down by close(). With `users`, requests are made as the user named in an x-test-user header
+// instead of unauthenticated.
+async function startRelay(options = {}, { users = null } = {}) {
+  const app = express();
+  const server = http.createServer(app);
+  if (users) {
+    app.use((req, _res, next) => {
+      req.user = users[req.headers['x-test-user']];
+      next();
+    });
+  }
+  const plugin = createMeshAudioPlugin({
+    app,
+    httpServer: server,
+    allowUnauthenticated: !users,
+    agentSecret: 'test-secret',
+    allowLegacyAgentSecret: true,
+    logger: quiet,
+    ...options
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}${plugin.mountPath}`;
+  const agents = [];
+  const viewers = [];
+
+  const relay = {
+    plugin,
+    server,
+    base,
+
+    // Resolves once the agent is connected and the relay has its capabilities.
+    async agent(agentOptions = {}) {
+      const { deviceId = 'dev1' } = agentOptions;
+      const agent = createSimulatedAgent({ url: base.replace(/^http/, 'ws'), deviceId, secret: 'test-secret', reconnectDelayMs: 100, logger: quiet, ...agentOptions });
+      agents.push(agent);
+      agent.connect();
+      await new Promise((resolve) => agent.once('connected', resolve));
+      await waitUntil(() => plugin.agents.has(deviceId) && plugin.agents.get(deviceId).capabilities);
+      return agent;
+    },
+
+    viewer(viewerOptions = {}) {
+      const viewer = createHeadlessViewer({ url: base, deviceId: 'dev1', logger: quiet, ...viewerOptions });
+      viewers.push(viewer);
+      return viewer;
+    },
+
+    async token(body, headers = {}) {
+      const resp = await fetch(`${base}/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ deviceId: 'dev1', ...body })
+      });
+      return { status: resp.status, body: await resp.json() };
+    },
+
+    async close() {
+      await Promise.all(viewers.map((viewer) => viewer.stop()));
+      agents.forEach((agent) => agent.close());
+      await plugin.close();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  };
+  return relay;
+}
+
+// Polls until the condition holds, for relay state that has no event to wait on.
+async function waitUntil(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('timed out waiting for condition');
+    }
+    await sleep(10);
+  }
+}
+
+// GETs a URL for up to `durationMs` and resolves with the status, headers and the body so far.
+function fetchFor(url, durationMs) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const req = http.get(url, (res) => {
+      const done = () => {
+        clearTimeout(timer);
+        resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) });
+      };
+      const timer = setTimeout(() => {
+        req.destroy();
+        done();
+      }, durationMs);
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', done);
+      res.on('close', done);
+    });
+    req.on('error', reject);
+  });
+}
+
+function tempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+module.exports = {
+  TONE_OPUS,
+  quiet,
+  sleep,
+  startRelay,
+  waitUntil,
+  fetchFor,
+  tempDir
+};
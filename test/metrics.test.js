@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createMetrics = require('../metrics');
+
+test('histograms render an unlabelled zero series until observed', () => {
+  const metrics = createMetrics();
+  metrics.histogram('wait_seconds', 'Wait', [0.1, 1]);
+  assert.match(metrics.render(), /^meshaudio_wait_seconds_bucket\{le="\+Inf"\} 0$/m);
+  assert.match(metrics.render(), /^meshaudio_wait_seconds_count 0$/m);
+});
+
+test('labelled histogram series are kept apart and can be removed', () => {
+  const metrics = createMetrics();
+  const wait = metrics.histogram('wait_seconds', 'Wait', [0.1, 1]);
+  wait.observe(0.05, { device: 'a' });
+  wait.observe(0.5, { device: 'a' });
+  wait.observe(5, { device: 'b"2' });
+
+  const text = metrics.render();
+  assert.match(text, /^meshaudio_wait_seconds_bucket\{device="a",le="0.1"\} 1$/m);
+  assert.match(text, /^meshaudio_wait_seconds_bucket\{device="a",le="1"\} 2$/m);
+  assert.match(text, /^meshaudio_wait_seconds_count\{device="a"\} 2$/m);
+  assert.match(text, /^meshaudio_wait_seconds_bucket\{device="b\\"2",le="1"\} 0$/m);
+  assert.match(text, /^meshaudio_wait_seconds_bucket\{device="b\\"2",le="\+Inf"\} 1$/m);
+  assert.match(text, /^meshaudio_wait_seconds_sum\{device="b\\"2"\} 5$/m);
+  assert.doesNotMatch(text, /^meshaudio_wait_seconds_count 0$/m);
+
+  wait.remove({ device: 'a' });
+  assert.doesNotMatch(metrics.render(), /device="a"/);
+});
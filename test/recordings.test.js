@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const createRecordingStore = require('../recordings');
+const { tempDir, quiet, sleep } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function writeLeftover(dir, id, meta, ageMs) {
+  fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({ id, deviceId: 'dev1', frames: 0, bytes: 0, ...meta }));
+  const audio = path.join(dir, `${id}.opus`);
+  fs.writeFileSync(audio, Buffer.alloc(0));
+  const at = new Date(Date.now() - ageMs);
+  fs.utimesSync(audio, at, at);
+}
+
+test('prune removes expired recordings, including ones a crash left unfinished', () => {
+  const dir = tempDir('meshaudio-prune-');
+  const store = createRecordingStore({ dir, retentionMs: DAY, logger: quiet });
+  const old = Date.now() - 3 * DAY;
+  writeLeftover(dir, 'ended-old', { startedAt: old, endedAt: old + 1000 }, 3 * DAY);
+  writeLeftover(dir, 'ended-recent', { startedAt: old, endedAt: Date.now() - 1000 }, 0);
+  writeLeftover(dir, 'crashed-old', { startedAt: old, endedAt: null }, 3 * DAY);
+  writeLeftover(dir, 'crashed-recent', { startedAt: old, endedAt: null }, 1000);
+  fs.writeFileSync(path.join(dir, 'no-audio.json'), JSON.stringify({ id: 'no-audio', startedAt: old, endedAt: null }));
+
+  store.prune();
+  assert.deepEqual(store.list().map((meta) => meta.id).sort(), ['crashed-recent', 'ended-recent']);
+});
+
+test('prune keeps recordings that are still being written', async () => {
+  const dir = tempDir('meshaudio-prune-');
+  const store = createRecordingStore({ dir, retentionMs: 1, logger: quiet });
+  const recording = store.open({ id: 'live', sessionId: 's1', deviceId: 'dev1', userId: 'u1', channels: 1 });
+  await sleep(20);
+
+  store.prune();
+  assert.ok(store.get('live'));
+  recording.close();
+});
@@ -0,0 +1,289 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const WebSocket = require('ws');
+const { parseOggOpus } = require('../ogg');
+const { TONE_OPUS, startRelay, waitUntil, fetchFor, tempDir, sleep } = require('./helpers');
+
+const tone = parseOggOpus(fs.readFileSync(TONE_OPUS));
+
+// The agent loops the fixture, so received packets must follow it from wherever they start.
+function assertTonePackets(packets) {
+  assert.ok(packets.length > 0, 'no packets');
+  const offset = tone.packets.findIndex((packet) => packet.equals(packets[0]));
+  assert.notEqual(offset, -1, 'first packet is not from the fixture');
+  packets.forEach((packet, i) => {
+    assert.ok(packet.equals(tone.packets[(offset + i) % tone.packets.length]), `packet ${i} differs`);
+  });
+}
+
+test('fans one device stream out to every listener up to the cap', async (t) => {
+  const relay = await startRelay({ maxListenersPerDevice: 2 });
+  t.after(() => relay.close());
+  const agent = await relay.agent();
+
+  const first = relay.viewer();
+  const second = relay.viewer();
+  await first.start();
+  await second.start();
+  await first.waitForMessage('listener_joined');
+  await Promise.all([first.waitForFrames(10), second.waitForFrames(10)]);
+  assert.equal(agent.stats.connects, 1);
+  assert.equal(relay.plugin.listenersByDevice.get('dev1').size, 2);
+
+  const third = relay.viewer();
+  await assert.rejects(third.start(), /listener limit reached/);
+
+  await second.stop();
+  await first.waitForMessage('listener_left');
+  const before = first.frames.length;
+  await first.waitFor(() => first.frames.length > before + 5, { frames: true });
+  assert.equal(first.stats().lost, 0);
+});
+
+test('reports frame interarrival per device while its agent is connected', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.close());
+  const agent = await relay.agent();
+
+  const viewer = relay.viewer();
+  await viewer.start();
+  await viewer.waitForFrames(10);
+  const scrape = async () => (await fetch(`${relay.base}/metrics`)).text();
+  const count = (await scrape()).match(/^meshaudio_frame_interarrival_seconds_count\{device="dev1"\} (\d+)$/m);
+  assert.ok(count && Number(count[1]) >= 9);
+
+  await viewer.stop();
+  agent.close();
+  await waitUntil(() => !relay.plugin.agents.has('dev1'));
+  assert.doesNotMatch(await scrape(), /device="dev1"/);
+});
+
+test('serves metrics only to administrators or with the metrics token', async (t) => {
+  const users = { admin: { _id: 'user//admin', siteadmin: 0xffffffff }, alice: { _id: 'user//alice' } };
+  const relay = await startRelay({}, { users });
+  const scraper = await startRelay({ metricsToken: 'scrape' }, { users });
+  t.after(() => Promise.all([relay.close(), scraper.close()]));
+
+  const scrape = (base, headers) => fetch(`${base}/metrics`, { headers }).then((resp) => resp.status);
+  assert.equal(await scrape(relay.base, {}), 401);
+  assert.equal(await scrape(relay.base, { 'x-test-user': 'alice' }), 403);
+  assert.equal(await scrape(relay.base, { 'x-test-user': 'admin' }), 200);
+  assert.equal(await scrape(scraper.base, { 'x-test-user': 'admin' }), 401);
+  assert.equal(await scrape(scraper.base, { authorization: 'Bearer scrape' }), 200);
+});
+
+test('ends the stream when a reconnecting agent displaces the old socket', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.close());
+  const old = await relay.agent({ reconnectDelayMs: 60 * 1000 });
+
+  const viewer = relay.viewer();
+  await viewer.start();
+  await viewer.waitForFrames(5);
+
+  const replacement = await relay.agent();
+  const status = await viewer.waitFor((msg) => msg.type === 'status' && msg.state === 'agent_disconnected');
+  assert.equal(status.reason, 'displaced');
+  const stopped = relay.plugin.audit.recent().find((event) => event.type === 'stream_stopped' && event.sessionId === viewer.session.sessionId);
+  assert.equal(stopped.reason, 'displaced');
+  assert.equal(relay.plugin.listenersByDevice.has('dev1'), false);
+  assert.equal(old.streaming, false);
+
+  // Starting again reaches the new socket.
+  const earlier = new Set(viewer.messages.map((entry) => entry.msg));
+  viewer.send({ action: 'start', mode: 'wss' });
+  await viewer.waitFor((msg) => msg.type === 'format' && !earlier.has(msg));
+  await waitUntil(() => replacement.stats.framesSent > 0);
+  assert.equal(replacement.streaming, true);
+});
+
+test('streams over WebRTC when the viewer asks for it', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.close());
+  const agent = await relay.agent({ file: TONE_OPUS });
+
+  const out = `${tempDir('meshaudio-webrtc-')}/capture.opus`;
+  const viewer = relay.viewer({ mode: 'webrtc', out });
+  await viewer.start();
+  await viewer.waitForMessage('transport');
+  await viewer.waitForFrames(20, { timeoutMs: 15000 });
+  assert.equal(agent.stats.webrtcConnects, 1);
+  assert.ok(viewer.frames.every((frame) => frame.transport === 'webrtc'));
+  assert.equal(relay.plugin.sessions.get(viewer.session.sessionId).transport, 'webrtc');
+
+  await viewer.stop();
+  assertTonePackets(parseOggOpus(fs.readFileSync(out)).packets);
+  await waitUntil(() => !agent.streaming);
+});
+
+test('falls back to the relay when ICE cannot connect', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.close());
+  const agent = await relay.agent({ file: TONE_OPUS, webrtcBlocked: true });
+
+  const viewer = relay.viewer({ mode: 'webrtc', iceTimeoutMs: 1000 });
+  await viewer.start();
+  const failed = await viewer.waitForMessage('webrtc_failed');
+  assert.match(failed.reason, /^ICE (failed|timed out)$/);
+  await viewer.waitFor((msg) => msg.type === 'transport' && msg.mode === 'wss');
+  await viewer.waitForFrames(10);
+  assert.ok(viewer.frames.every((frame) => frame.transport === 'wss'));
+  assert.equal(relay.plugin.sessions.get(viewer.session.sessionId).transport, 'wss');
+  assert.equal(agent.stats.webrtcConnects, 0);
+});
+
+test('waits for the user at the device when consent is required', async (t) => {
+  const relay = await startRelay({ consentPolicy: 'always' });
+  t.after(() => relay.close());
+  const agent = await relay.agent({ consent: 'accept' });
+
+  const viewer = relay.viewer();
+  await viewer.start();
+  assert.equal(agent.stats.consentRequests, 1);
+  assert.ok(viewer.messages.some((entry) => entry.msg.type === 'status' && entry.msg.state === 'awaiting_consent'));
+  await viewer.waitForFrames(5);
+  await viewer.stop();
+
+  const denying = await relay.agent({ deviceId: 'dev2', consent: 'deny' });
+  const refused = relay.viewer({ deviceId: 'dev2' });
+  await assert.rejects(refused.start(), /denied by the simulated user/);
+  assert.equal(denying.stats.consentRequests, 1);
+  assert.equal(denying.streaming, false);
+});
+
+test('resumes a dropped listener within the grace period', async (t) => {
+  const relay = await startRelay({ viewerResumeGraceMs: 300 });
+  t.after(() => relay.close());
+  const agent = await relay.agent();
+
+  const viewer = relay.viewer();
+  await viewer.start();
+  await viewer.waitForFrames(5);
+  viewer.drop();
+  await sleep(100);
+  assert.ok(relay.plugin.listenersByDevice.get('dev1').has(viewer.session.sessionId));
+  assert.equal(agent.streaming, true);
+
+  const reply = await viewer.resume();
+  assert.equal(reply.transport, 'wss');
+  const resumedAt = viewer.frames.length;
+  await viewer.waitFor(() => viewer.frames.length > resumedAt + 5, { frames: true });
+  assert.equal(agent.stats.connects, 1);
+
+  viewer.drop();
+  await waitUntil(() => !relay.plugin.listenersByDevice.has('dev1'));
+  await assert.rejects(viewer.resume(), /can no longer be resumed/);
+});
+
+test('records an Opus stream to a file that can be listed and downloaded', async (t) => {
+  const relay = await startRelay({ recordingsDir: tempDir('meshaudio-rec-'), recordingPolicy: 'optional' });
+  t.after(() => relay.close());
+  await relay.agent({ file: TONE_OPUS });
+
+  const viewer = relay.viewer({ record: true });
+  await viewer.start();
+  await viewer.waitForFrames(20);
+  await viewer.stop();
+  await waitUntil(() => relay.plugin.recordings.list().some((meta) => meta.endedAt));
+
+  const { recordings } = await (await fetch(`${relay.base}/recordings?deviceId=dev1`)).json();
+  assert.equal(recordings.length, 1);
+  assert.equal(recordings[0].sessionId, viewer.session.sessionId);
+  const resp = await fetch(`${relay.base}/recordings/${recordings[0].id}`);
+  assert.equal(resp.status, 200);
+  const recorded = parseOggOpus(Buffer.from(await resp.arrayBuffer()));
+  assert.equal(recorded.channels, 1);
+  assert.ok(recorded.packets.length >= 20);
+  assertTonePackets(recorded.packets);
+});
+
+test('lets users who may access the device delete its recordings', async (t) => {
+  const users = { alice: { _id: 'user//alice' }, bob: { _id: 'user//bob' } };
+  const relay = await startRelay({
+    recordingsDir: tempDir('meshaudio-rec-'),
+    authorizeDevice: (user) => user === users.alice
+  }, { users });
+  t.after(() => relay.close());
+  await relay.agent({ file: TONE_OPUS });
+
+  const viewer = relay.viewer({ record: true, headers: { 'x-test-user': 'alice' } });
+  await viewer.start();
+  await viewer.waitForFrames(5);
+  await viewer.stop();
+  await waitUntil(() => relay.plugin.recordings.list().some((meta) => meta.endedAt));
+  const [{ id }] = relay.plugin.recordings.list();
+
+  const remove = (user) => fetch(`${relay.base}/recordings/${id}`, { method: 'DELETE', headers: { 'x-test-user': user } });
+  assert.equal((await remove('nobody')).status, 401);
+  assert.equal((await remove('bob')).status, 404);
+  assert.equal((await remove('alice')).status, 200);
+  assert.equal(relay.plugin.recordings.list().length, 0);
+  assert.ok(relay.plugin.audit.recent().some((event) => event.type === 'recording_deleted' && event.userId === 'user//alice'));
+});
+
+test('answers 500 when the recording policy hook throws', async (t) => {
+  const relay = await startRelay({
+    recordingsDir: tempDir('meshaudio-rec-'),
+    recordingPolicy: () => {
+      throw new Error('policy backend down');
+    }
+  });
+  t.after(() => relay.close());
+
+  const { status, body } = await relay.token({ record: true });
+  assert.equal(status, 500);
+  assert.equal(body.error, 'recording policy failed');
+});
+
+test('serves the stream as live Ogg Opus over HTTP', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.close());
+  const agent = await relay.agent({ file: TONE_OPUS });
+
+  const { body: session } = await relay.token();
+  const refused = await fetchFor(`${relay.base}/stream/${session.sessionId}.ogg?token=wrong`, 1000);
+  assert.equal(refused.status, 403);
+
+  const resp = await fetchFor(`${relay.base}/stream/${session.sessionId}.ogg?token=${session.token}`, 600);
+  assert.equal(resp.status, 200);
+  assert.equal(resp.headers['content-type'], 'audio/ogg');
+  const streamed = parseOggOpus(resp.body);
+  assert.equal(streamed.channels, 1);
+  assert.ok(streamed.packets.length >= 10);
+  assertTonePackets(streamed.packets);
+
+  // Hanging up stops the device once nobody else is listening.
+  await waitUntil(() => !agent.streaming);
+});
+
+test('refuses the HTTP stream for a PCM-only device', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.close());
+  const agent = await relay.agent();
+
+  const { body: session } = await relay.token();
+  const resp = await fetchFor(`${relay.base}/stream/${session.sessionId}.ogg?token=${session.token}`, 2000);
+  assert.equal(resp.status, 409);
+  assert.match(JSON.parse(resp.body).error, /not Opus/);
+  await waitUntil(() => !agent.streaming);
+});
+
+test('leaves other upgrade paths alone unless it owns every upgrade', async (t) => {
+  const shared = await startRelay();
+  const exclusive = await startRelay({ exclusiveUpgrades: true });
+  t.after(() => Promise.all([shared.close(), exclusive.close()]));
+  shared.server.on('upgrade', (req, socket) => {
+    if (req.url === '/other') {
+      socket.end('HTTP/1.1 418 I\'m a teapot\r\n\r\n');
+    }
+  });
+
+  const attempt = (relay) => new Promise((resolve) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${relay.server.address().port}/other`);
+    ws.on('unexpected-response', (_req, res) => resolve(res.statusCode));
+    ws.on('error', (err) => resolve(err.code || err.message));
+  });
+  assert.equal(await attempt(shared), 418);
+  assert.equal(await attempt(exclusive), 'ECONNRESET');
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const createSettingsStore = require('../settings');
+const { quiet, tempDir } = require('./helpers');
+
+test('saved settings override the defaults on the next start', () => {
+  const file = path.join(tempDir('meshaudio-settings-'), 'settings.json');
+  const settings = createSettingsStore({ file, defaults: { maxListenersPerDevice: 1, recordingPolicy: 'optional' }, logger: quiet });
+  assert.equal(settings.update({ maxListenersPerDevice: 4 }).maxListenersPerDevice, 4);
+
+  const restarted = createSettingsStore({ file, defaults: { maxListenersPerDevice: 1, recordingPolicy: 'optional' }, logger: quiet });
+  assert.deepEqual(restarted.get(), { maxListenersPerDevice: 4, recordingPolicy: 'optional' });
+});
+
+test('an invalid field changes nothing', () => {
+  const settings = createSettingsStore({ defaults: { maxListenersPerDevice: 1, recordingPolicy: 'optional' }, logger: quiet });
+  assert.throws(() => settings.update({ maxListenersPerDevice: 2, recordingPolicy: 'sometimes' }), /recordingPolicy must be one of/);
+  assert.deepEqual(settings.get(), { maxListenersPerDevice: 1, recordingPolicy: 'optional' });
+});
+
+test('a failed save leaves the settings as they were', () => {
+  const dir = tempDir('meshaudio-settings-');
+  const file = path.join(dir, 'settings.json');
+  const settings = createSettingsStore({ file, defaults: { maxListenersPerDevice: 1 }, logger: quiet });
+  settings.update({ maxListenersPerDevice: 2 });
+
+  // A directory where the file should be makes the write fail.
+  fs.rmSync(file);
+  fs.mkdirSync(file);
+  assert.throws(() => settings.update({ maxListenersPerDevice: 3 }));
+  assert.equal(settings.get().maxListenersPerDevice, 2);
+  fs.rmdirSync(file);
+  settings.update({ consentPolicy: 'always' });
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { maxListenersPerDevice: 2, consentPolicy: 'always' });
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const BLOCK = 128; // render quantum
+
+// Loads web/meshaudio-worklet.js with just enough of AudioWorkletGlobalScope to run it.
+function loadWorklet(rate = 48000) {
+  const processors = {};
+  class AudioWorkletProcessor {
+    constructor() {
+      this.posted = [];
+      this.port = { onmessage: null, postMessage: (msg) => this.posted.push(msg) };
+    }
+  }
+  const context = vm.createContext({
+    AudioWorkletProcessor,
+    Atomics,
+    sampleRate: rate,
+    registerProcessor: (name, processor) => {
+      processors[name] = processor;
+    }
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'web', 'meshaudio-worklet.js'), 'utf8'), context);
+  return processors;
+}
+
+test('capture hands contiguous microphone PCM over in blocks', () => {
+  const { 'meshaudio-capture': Capture } = loadWorklet();
+  const capture = new Capture({ processorOptions: { frames: 960 } });
+  let n = 0;
+  for (let i = 0; i < 30; i += 1) {
+    const samples = Float32Array.from({ length: BLOCK }, () => (n++ % 1000) / 1000);
+    assert.equal(capture.process([[samples]]), true);
+  }
+  // 30 quanta are 3840 frames: four whole blocks.
+  assert.equal(capture.posted.length, 4);
+  capture.posted.forEach((msg, block) => {
+    assert.equal(msg.type, 'pcm');
+    assert.equal(msg.data.length, 960);
+    msg.data.forEach((value, i) => assert.equal(value, Math.fround(((block * 960 + i) % 1000) / 1000)));
+  });
+
+  assert.equal(capture.process([[]]), true, 'an ended track just produces nothing');
+  capture.port.onmessage({ data: { type: 'stop' } });
+  assert.equal(capture.process([[new Float32Array(BLOCK)]]), false);
+});
+
+// Feeds the player `packetFrames` of a 100 Hz sine at `speed` times the render rate, as a
+// sender whose clock runs fast or slow would, and returns what it played.
+function runPlayer(player, { seconds, speed = 1, packetFrames = 960, rate = 48000 }) {
+  const out = [];
+  const rates = [];
+  let written = 0;
+  let owed = 0;
+  const quanta = Math.round((seconds * rate) / BLOCK);
+  for (let q = 0; q < quanta; q += 1) {
+    owed += BLOCK * speed;
+    while (owed >= packetFrames) {
+      const pcm = Float32Array.from({ length: packetFrames }, (_, i) => Math.sin((2 * Math.PI * 100 * (written + i)) / rate));
+      player.handleMessage({ type: 'pcm', channels: [pcm] });
+      written += packetFrames;
+      owed -= packetFrames;
+    }
+    const output = [new Float32Array(BLOCK), new Float32Array(BLOCK)];
+    player.process([], [output]);
+    out.push(...output[0]);
+    rates.push(player.rate);
+  }
+  return { out, rates };
+}
+
+test('player corrects clock drift by at most a few hundred ppm', () => {
+  const { 'meshaudio-player': Player } = loadWorklet();
+  const player = new Player({ processorOptions: { channels: 2, capacity: 96000, targetFrames: 4800, maxFrames: 19200 } });
+  const { rates } = runPlayer(player, { seconds: 120, speed: 1.0001 });
+
+  rates.forEach((rate) => assert.ok(Math.abs(rate - 1) <= 300e-6 + 1e-12, `rate ${rate}`));
+  assert.equal(player.underruns, 0);
+  assert.equal(player.resyncs, 0);
+  // Settled: over the last 20 s it consumes as fast as the sender produces, a few ms above the target.
+  const settled = rates.slice(-Math.round((20 * 48000) / BLOCK));
+  const mean = settled.reduce((sum, rate) => sum + rate, 0) / settled.length;
+  assert.ok(Math.abs(mean - 1.0001) < 10e-6, `settled rate ${mean}`);
+  assert.ok(Math.abs(player.available() - 4800) < 960 + 480, `buffered ${player.available()}`);
+});
+
+test('player output stays continuous as the ring indices wrap', () => {
+  const { 'meshaudio-player': Player } = loadWorklet();
+  // A capacity that is not a power of two, small enough to wrap every few hundred ms.
+  const player = new Player({ processorOptions: { channels: 2, capacity: 9001, targetFrames: 2400, maxFrames: 8000 } });
+  const { out } = runPlayer(player, { seconds: 10, speed: 0.9999 });
+
+  const indices = Array.from(player.indices);
+  indices.forEach((index) => assert.ok(index >= 0 && index < 9001));
+  const start = out.findIndex((value) => value !== 0);
+  let worst = 0;
+  for (let i = start + 1; i < out.length; i += 1) {
+    worst = Math.max(worst, Math.abs(out[i] - out[i - 1]));
+  }
+  // A 100 Hz sine moves at most 0.0131 per sample at 48 kHz; a jump would be far larger.
+  assert.ok(worst < 0.014, `largest step ${worst}`);
+  assert.equal(player.underruns, 0);
+});
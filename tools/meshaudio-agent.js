@@ -0,0 +1,563 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const framing = require('../web/meshaudio-framing');
+const e2eCrypto = require('../web/meshaudio-e2e');
+const { parseOggOpus, opusPacketSamples } = require('../ogg');
+
+// Simulated MeshAudio agent for local testing. It speaks the agent side of the relay protocol
+// and streams an Ogg Opus file in a loop, or a generated PCM test tone when no file is given.
+// The tone cannot reach the Opus-only paths (recording, /stream/*.ogg); for those, stream
+// test/fixtures/tone-440.opus. Loss, reordering, jitter and disconnects can be injected on the
+// way out. Streams viewers ask to have encrypted end to end are, and the key fingerprints of
+// each listener are printed. Viewers that ask for WebRTC get the Opus file over a peer
+// connection answered through the agent socket (werift, a dev dependency); `webrtcBlocked`
+// withholds the ICE candidates so the viewer has to fall back to the relay.
+//
+//   node tools/meshaudio-agent.js --url ws://localhost:4050/meshaudio --device dev1 --secret s \
+//     [--file music.opus] [--loss 0.05] [--reorder 0.02] [--jitter 30] [--disconnect-every 60000] [--no-e2e] \
+//     [--webrtc-blocked]
+
+const KEEPALIVE_MS = 15000;
+const TONE_AMPLITUDE = 0.25; // -12 dBFS peak
+
+function toneSources(toneHz) {
+  return [
+    { id: 'tone', kind: 'loopback', name: `Test tone ${toneHz} Hz`, channels: 2, default: true, hz: toneHz },
+    { id: 'tone-high', kind: 'mic', name: `Test tone ${toneHz * 2} Hz`, channels: 1, hz: toneHz * 2 }
+  ];
+}
+
+function createSimulatedAgent(options = {}) {
+  const {
+    url = process.env.MESHAUDIO_URL || 'ws://localhost:4050/meshaudio',
+    deviceId = process.env.MESHAUDIO_DEVICE_ID || 'simulated-device',
+    secret = process.env.MESHAUDIO_AGENT_SECRET || 'CHANGE_ME',
+    file = null, // Ogg Opus file; without one a PCM test tone is generated
+    toneHz = 440,
+    frameMs = 20, // tone frame length; file packets keep their own
+    frameVersion = framing.LATEST_VERSION, // highest framing version offered; 0 sends no hello
+    loss = 0, // probability of dropping a frame
+    reorder = 0, // probability of holding a frame back until after the next one
+    jitterMs = 0, // random extra send delay, up to this many ms; frames stay in order
+    disconnectEveryMs = 0, // drop the connection this often (0: never)
+    reconnectDelayMs = 1000,
+    consent = 'accept', // answer to consent requests: 'accept' | 'deny' | 'ignore'
+    e2e = true, // offer end-to-end encryption
+    webrtcBlocked = false, // withhold ICE candidates both ways, as a firewall between device and viewer would
+    logger = console
+  } = options;
+
+  const opus = file ? parseOggOpus(fs.readFileSync(file)) : null;
+  if (opus && !opus.packets.length) {
+    throw new Error(`${file} has no audio packets`);
+  }
+  const sources = opus
+    ? [{ id: 'file', kind: 'loopback', name: path.basename(file), channels: opus.channels, default: true }]
+    : toneSources(toneHz);
+  const capabilities = opus
+    ? { codecs: ['opus'], sampleRates: [48000], channels: [opus.channels], bitrates: [], e2e }
+    : { codecs: ['pcm'], sampleRates: [8000, 16000, 48000], channels: [1, 2], bitrates: [], e2e };
+
+  const agent = new EventEmitter();
+  const stats = { connects: 0, framesSent: 0, framesLost: 0, framesReordered: 0, talkbackFrames: 0, talkbackRejected: 0, consentRequests: 0, webrtcConnects: 0, rtpPacketsSent: 0 };
+  const pendingSends = new Set();
+  const peers = new Map(); // sessionId -> { pc, track }, one per WebRTC listener
+  let ws = null;
+  let version = 0;
+  let stream = null;
+  let talker = null;
+  let held = null;
+  let lastSendAt = 0;
+  let keepaliveTimer = null;
+  let disconnectTimer = null;
+  let reconnectTimer = null;
+  let closed = false;
+
+  function send(payload) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+
+  function connect() {
+    closed = false;
+    const target = `${url.replace(/\/$/, '')}/agent?deviceId=${encodeURIComponent(deviceId)}&token=${encodeURIComponent(secret)}`;
+    const socket = new WebSocket(target);
+    ws = socket;
+    version = 0;
+
+    socket.on('open', () => {
+      stats.connects += 1;
+      if (frameVersion > 0) {
+        send({ type: 'hello', versions: framing.VERSIONS.filter((v) => v <= frameVersion) });
+      }
+      send({ type: 'capabilities', ...capabilities });
+      send({ type: 'sources', sources: sources.map(({ hz, ...source }) => source) });
+      if (disconnectEveryMs) {
+        disconnectTimer = setTimeout(() => {
+          logger.info ? logger.info('Simulated disconnect') : logger.log('Simulated disconnect');
+          socket.terminate();
+        }, disconnectEveryMs);
+      }
+      agent.emit('connected');
+    });
+
+    socket.on('message', (data, isBinary) => onMessage(data, isBinary));
+
+    socket.on('close', (code, reason) => {
+      if (ws !== socket) {
+        return;
+      }
+      ws = null;
+      clearTimeout(disconnectTimer);
+      clearInterval(keepaliveTimer);
+      stopStream(null);
+      agent.emit('disconnected', code, String(reason));
+      if (!closed) {
+        reconnectTimer = setTimeout(connect, reconnectDelayMs);
+      }
+    });
+
+    socket.on('error', (err) => {
+      logger.warn ? logger.warn(`Simulated agent socket error: ${err.message}`) : logger.log(`Simulated agent socket error: ${err.message}`);
+    });
+  }
+
+  function onMessage(data, isBinary) {
+    if (isBinary) {
+      try {
+        const frame = framing.decode(data);
+        if (frame.type === framing.FRAME_TYPES.TALKBACK) {
+          stats.talkbackFrames += 1;
+          if (frame.encrypted || (stream && stream.e2e)) {
+            openTalkback(frame);
+          } else {
+            agent.emit('talkback', frame);
+          }
+        }
+      } catch (err) {
+        logger.warn ? logger.warn(`Simulated agent got a bad frame: ${err.message}`) : logger.log(`Simulated agent got a bad frame: ${err.message}`);
+      }
+      return;
+    }
+
+    let msg;
+    try {
+      msg = JSON.parse(data.toString('utf8'));
+    } catch (_) {
+      return;
+    }
+    agent.emit('message', msg);
+
+    if (msg.action === 'hello') {
+      version = msg.version;
+      if (version >= 1) {
+        keepaliveTimer = setInterval(() => sendFrame({ type: framing.FRAME_TYPES.KEEPALIVE }), KEEPALIVE_MS);
+      }
+    } else if (msg.action === 'error') {
+      logger.warn ? logger.warn(`Relay error: ${msg.reason}`) : logger.log(`Relay error: ${msg.reason}`);
+    } else if (msg.action === 'start') {
+      startStream(msg);
+    } else if (msg.action === 'stop') {
+      stopStream('stopped');
+    } else if (msg.action === 'status') {
+      send({ type: 'status', state: stream ? 'streaming' : 'idle', sourceId: stream ? stream.source.id : undefined });
+    } else if (msg.action === 'relay') {
+      if (stream) {
+        stream.relay = msg.enabled !== false;
+      }
+    } else if (msg.action === 'list_sources') {
+      send({ type: 'sources', sources: sources.map(({ hz, ...source }) => source) });
+    } else if (msg.action === 'source') {
+      const source = sources.find((s) => s.id === msg.sourceId);
+      if (stream && source) {
+        stream.source = source;
+      }
+    } else if (msg.action === 'signal') {
+      onSignal(msg);
+    } else if (msg.action === 'webrtc_close') {
+      closePeer(msg.sessionId);
+    } else if (msg.action === 'e2e_join') {
+      queueE2e((e2eStream) => joinE2e(e2eStream, msg));
+    } else if (msg.action === 'e2e_leave') {
+      queueE2e((e2eStream) => leaveE2e(e2eStream, msg));
+    } else if (msg.action === 'talk_start') {
+      talker = msg.sessionId;
+    } else if (msg.action === 'talk_stop') {
+      talker = null;
+    } else if (msg.action === 'consent_request') {
+      stats.consentRequests += 1;
+      agent.emit('consent', msg);
+      if (consent === 'accept' || consent === 'deny') {
+        send({ type: 'consent', sessionId: msg.sessionId, accepted: consent === 'accept', reason: consent === 'deny' ? 'denied by the simulated user' : undefined });
+      }
+    }
+  }
+
+  function startStream(msg) {
+    if (msg.mode === 'webrtc' && !opus) {
+      send({ type: 'status', state: 'error', reason: 'the simulated agent sends WebRTC only from an Opus file' });
+      return;
+    }
+    const format = msg.format || { codec: 'opus', sampleRate: 48000, channels: 2 };
+    if (format.codec !== capabilities.codecs[0]) {
+      send({ type: 'status', state: 'error', reason: `the simulated agent cannot stream ${format.codec}` });
+      return;
+    }
+    stopStream(null);
+    stream = {
+      format,
+      source: sources.find((s) => s.id === msg.sourceId) || sources[0],
+      relay: msg.mode !== 'webrtc',
+      seq: 0,
+      startedAt: Date.now(),
+      elapsedMs: 0,
+      sample: 0, // tone phase, in samples
+      packet: 0, // next file packet
+      timer: null,
+      e2e: msg.e2e ? createE2eStream() : null,
+      queue: Promise.resolve() // end-to-end work, kept in order with the frames it affects
+    };
+    send({ type: 'status', state: 'streaming', sourceId: stream.source.id });
+    agent.emit('started', { ...msg, format });
+    tick();
+  }
+
+  // Called with a reason when the relay asked for the stop, so viewers get an end-of-stream frame.
+  function stopStream(reason) {
+    if (!stream) {
+      return;
+    }
+    clearTimeout(stream.timer);
+    [...peers.keys()].forEach(closePeer);
+    if (reason && stream.seq > 0) {
+      const end = { type: framing.FRAME_TYPES.END_OF_STREAM, seq: (stream.seq - 1) >>> 0, timestampMs: Date.now(), reason };
+      stream.queue.then(() => sendFrame(end));
+    }
+    stream = null;
+    held = null;
+    agent.emit('stopped', reason);
+  }
+
+  // Frames are produced on the capture timeline (start + elapsed), not by a drifting interval.
+  function tick() {
+    const { payload, durationMs, level } = opus ? nextPacket() : nextTone();
+    if (opus) {
+      sendRtp(payload);
+    }
+    const frame = {
+      type: framing.FRAME_TYPES.AUDIO,
+      seq: stream.seq,
+      timestampMs: stream.startedAt + stream.elapsedMs,
+      codec: stream.format.codec,
+      level,
+      payload
+    };
+    stream.seq = (stream.seq + 1) >>> 0;
+    stream.elapsedMs += durationMs;
+    if (stream.relay && stream.e2e) {
+      queueE2e(async (e2eStream) => {
+        if (!e2eStream.listeners.size) {
+          return; // nobody could decrypt it yet
+        }
+        const sealed = await e2eCrypto.encryptPayload(e2eStream.streamKey, frame.seq, frame.payload);
+        // Levels would tell the relay when someone is speaking.
+        impair({ ...frame, payload: sealed, encrypted: true, level: null });
+      });
+    } else if (stream.relay) {
+      impair(frame);
+    }
+    stream.timer = setTimeout(tick, Math.max(0, stream.startedAt + stream.elapsedMs - Date.now()));
+  }
+
+  async function createE2eStream() {
+    return {
+      keyPair: await e2eCrypto.createKeyPair(),
+      streamKey: await e2eCrypto.createStreamKey(0),
+      listeners: new Map() // sessionId -> { publicKey, wrapKey, talkKey, openTalkback }
+    };
+  }
+
+  // Runs end-to-end work for the current stream in order; dropped if the stream has ended.
+  function queueE2e(work) {
+    const current = stream;
+    if (!current || !current.e2e) {
+      return;
+    }
+    current.queue = current.queue
+      .then(() => current.e2e)
+      .then((e2eStream) => (stream === current ? work(e2eStream) : null))
+      .catch((err) => {
+        logger.warn ? logger.warn(`Simulated agent end-to-end error: ${err.message}`) : logger.log(`Simulated agent end-to-end error: ${err.message}`);
+      });
+  }
+
+  async function sendStreamKey(e2eStream, sessionId, streamKey) {
+    const wrapped = await e2eCrypto.wrapStreamKey(e2eStream.listeners.get(sessionId).wrapKey, streamKey);
+    send({ type: 'e2e_key', sessionId, publicKey: e2eStream.keyPair.encoded, ...wrapped });
+  }
+
+  // A repeated join (after a resume) just resends the current key; talkback seqs already seen
+  // stay used.
+  async function joinE2e(e2eStream, msg) {
+    const viewerKey = e2eCrypto.parsePublicKey(msg.publicKey);
+    const known = e2eStream.listeners.get(msg.sessionId);
+    if (!known || known.publicKey !== msg.publicKey) {
+      const keys = await e2eCrypto.deriveListenerKeys(e2eStream.keyPair, viewerKey, 'agent');
+      e2eStream.listeners.set(msg.sessionId, { ...keys, publicKey: msg.publicKey, openTalkback: e2eCrypto.createTalkbackOpener(keys.talkKey) });
+    }
+    await sendStreamKey(e2eStream, msg.sessionId, e2eStream.streamKey);
+    const info = { sessionId: msg.sessionId, deviceFingerprint: e2eStream.keyPair.fingerprint, viewerFingerprint: await e2eCrypto.fingerprint(viewerKey) };
+    agent.emit('e2e', info);
+  }
+
+  // The listener that left still holds the stream key, so everyone else moves to a new one.
+  async function leaveE2e(e2eStream, msg) {
+    if (!e2eStream.listeners.delete(msg.sessionId) || !e2eStream.listeners.size) {
+      return;
+    }
+    const next = await e2eCrypto.createStreamKey(e2eStream.streamKey.keyId + 1);
+    for (const sessionId of e2eStream.listeners.keys()) {
+      await sendStreamKey(e2eStream, sessionId, next);
+    }
+    e2eStream.streamKey = next;
+  }
+
+  function openTalkback(frame) {
+    queueE2e(async (e2eStream) => {
+      // Plaintext talkback has no place in an end-to-end encrypted stream.
+      const keys = e2eStream.listeners.get(talker);
+      if (!keys || !frame.encrypted) {
+        stats.talkbackRejected += 1;
+        return;
+      }
+      try {
+        const payload = await keys.openTalkback(frame.seq, frame.payload);
+        agent.emit('talkback', { ...frame, payload });
+      } catch (_) {
+        stats.talkbackRejected += 1;
+      }
+    });
+  }
+
+  // The viewer makes the offer; the agent answers with a send-only audio track.
+  function onSignal(msg) {
+    const data = msg.data || {};
+    if (data.type === 'offer') {
+      answerPeer(msg.sessionId, data.sdp).catch((err) => {
+        closePeer(msg.sessionId);
+        logger.warn ? logger.warn(`Simulated agent WebRTC error: ${err.message}`) : logger.log(`Simulated agent WebRTC error: ${err.message}`);
+      });
+    } else if (data.type === 'candidate' && data.candidate && !webrtcBlocked) {
+      const peer = peers.get(msg.sessionId);
+      if (peer) {
+        peer.pc.addIceCandidate(data.candidate).catch(() => {});
+      }
+    }
+  }
+
+  async function answerPeer(sessionId, sdp) {
+    if (!stream || !opus) {
+      throw new Error('no Opus stream to send');
+    }
+    const { RTCPeerConnection, MediaStreamTrack } = require('werift');
+    closePeer(sessionId);
+    const pc = new RTCPeerConnection({ iceServers: [] });
+    const peer = { pc, track: new MediaStreamTrack({ kind: 'audio' }) };
+    peers.set(sessionId, peer);
+    const signal = (data) => send({ type: 'signal', sessionId, data });
+    pc.onIceCandidate.subscribe((candidate) => {
+      if (!webrtcBlocked) {
+        signal({ type: 'candidate', candidate: candidate ? candidate.toJSON() : null });
+      }
+    });
+    pc.connectionStateChange.subscribe((state) => {
+      if (state === 'connected') {
+        stats.webrtcConnects += 1;
+      }
+      agent.emit('webrtc', { sessionId, state });
+    });
+
+    await pc.setRemoteDescription({ type: 'offer', sdp: withCandidates(sdp) });
+    const [transceiver] = pc.getTransceivers();
+    transceiver.setDirection('sendonly');
+    await transceiver.sender.replaceTrack(peer.track);
+    await pc.setLocalDescription(await pc.createAnswer());
+    if (peers.get(sessionId) === peer) {
+      signal({ type: 'answer', sdp: withCandidates(pc.localDescription.sdp) });
+    }
+  }
+
+  function withCandidates(sdp) {
+    return webrtcBlocked ? sdp.split('\r\n').filter((line) => !line.startsWith('a=candidate:')).join('\r\n') : sdp;
+  }
+
+  function closePeer(sessionId) {
+    const peer = peers.get(sessionId);
+    if (!peer) {
+      return;
+    }
+    peers.delete(sessionId);
+    peer.track.stop();
+    peer.pc.close().catch(() => {});
+  }
+
+  // RTP timestamps run on the 48 kHz Opus clock, from the stream's capture timeline.
+  function sendRtp(payload) {
+    if (!peers.size) {
+      return;
+    }
+    const { RtpPacket, RtpHeader } = require('werift');
+    for (const peer of peers.values()) {
+      if (peer.pc.connectionState !== 'connected') {
+        continue;
+      }
+      const header = new RtpHeader({ sequenceNumber: stream.seq & 0xffff, timestamp: Math.round(stream.elapsedMs * 48) >>> 0 });
+      peer.track.writeRtp(new RtpPacket(header, payload));
+      stats.rtpPacketsSent += 1;
+    }
+  }
+
+  function nextPacket() {
+    const packet = opus.packets[stream.packet];
+    stream.packet = (stream.packet + 1) % opus.packets.length;
+    return { payload: packet, durationMs: opusPacketSamples(packet) / 48 || frameMs, level: null };
+  }
+
+  // Interleaved big-endian 16-bit PCM (L16) at the negotiated rate and channel count.
+  function nextTone() {
+    const { sampleRate, channels } = stream.format;
+    const samples = Math.round((sampleRate * frameMs) / 1000);
+    const payload = Buffer.alloc(samples * channels * 2);
+    const step = (2 * Math.PI * stream.source.hz) / sampleRate;
+    for (let i = 0; i < samples; i += 1) {
+      const value = Math.round(Math.sin((stream.sample + i) * step) * TONE_AMPLITUDE * 32767);
+      for (let ch = 0; ch < channels; ch += 1) {
+        payload.writeInt16BE(value, (i * channels + ch) * 2);
+      }
+    }
+    stream.sample = (stream.sample + samples) % sampleRate;
+    const peak = 20 * Math.log10(TONE_AMPLITUDE);
+    return { payload, durationMs: frameMs, level: { rms: peak - 3, peak } };
+  }
+
+  function impair(frame) {
+    if (loss && Math.random() < loss) {
+      stats.framesLost += 1;
+      return;
+    }
+    if (held) {
+      const late = held;
+      held = null;
+      sendFrame(frame);
+      sendFrame(late);
+      stats.framesReordered += 1;
+      return;
+    }
+    if (reorder && Math.random() < reorder) {
+      held = frame;
+      return;
+    }
+    sendFrame(frame);
+  }
+
+  function sendFrame(frame) {
+    const data = framing.encode({ ...frame, version });
+    if (!data) {
+      return;
+    }
+    const write = () => {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(data, { binary: true });
+        if (frame.type === framing.FRAME_TYPES.AUDIO) {
+          stats.framesSent += 1;
+        }
+      }
+    };
+    if (!jitterMs) {
+      write();
+      return;
+    }
+    // Never earlier than the previous frame, so jitter does not turn into reordering.
+    const at = Math.max(lastSendAt, Date.now() + Math.random() * jitterMs);
+    lastSendAt = at;
+    const timer = setTimeout(() => {
+      pendingSends.delete(timer);
+      write();
+    }, at - Date.now());
+    pendingSends.add(timer);
+  }
+
+  function close() {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    pendingSends.forEach((timer) => clearTimeout(timer));
+    pendingSends.clear();
+    stopStream(null);
+    if (ws) {
+      ws.close(1000, 'agent shutting down');
+    }
+  }
+
+  agent.connect = connect;
+  agent.close = close;
+  agent.stats = stats;
+  agent.sources = sources;
+  Object.defineProperty(agent, 'streaming', { get: () => Boolean(stream) });
+  return agent;
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      url: { type: 'string' },
+      device: { type: 'string' },
+      secret: { type: 'string' },
+      file: { type: 'string' },
+      tone: { type: 'string' },
+      'frame-version': { type: 'string' },
+      loss: { type: 'string' },
+      reorder: { type: 'string' },
+      jitter: { type: 'string' },
+      'disconnect-every': { type: 'string' },
+      consent: { type: 'string' },
+      'no-e2e': { type: 'boolean' },
+      'webrtc-blocked': { type: 'boolean' }
+    }
+  });
+  const number = (value) => (value === undefined ? undefined : Number(value));
+  const agent = createSimulatedAgent({
+    url: values.url,
+    deviceId: values.device,
+    secret: values.secret,
+    file: values.file,
+    toneHz: number(values.tone),
+    frameVersion: number(values['frame-version']),
+    loss: number(values.loss),
+    reorder: number(values.reorder),
+    jitterMs: number(values.jitter),
+    disconnectEveryMs: number(values['disconnect-every']),
+    consent: values.consent,
+    e2e: !values['no-e2e'],
+    webrtcBlocked: values['webrtc-blocked']
+  });
+  agent.on('connected', () => console.log('Connected'));
+  agent.on('disconnected', (code, reason) => console.log(`Disconnected (${code}${reason ? ` ${reason}` : ''})`));
+  agent.on('started', (msg) => console.log(`Streaming ${JSON.stringify(msg.format)} from ${msg.sourceId || 'the default source'}`));
+  agent.on('webrtc', ({ sessionId, state }) => console.log(`WebRTC ${state} for ${sessionId}`));
+  agent.on('e2e', (info) => console.log(`End-to-end encrypted for ${info.sessionId}: device key ${info.deviceFingerprint}, viewer key ${info.viewerFingerprint}`));
+  agent.on('stopped', (reason) => reason && console.log(`Stopped: ${reason}`));
+  agent.connect();
+  process.on('SIGINT', () => {
+    agent.close();
+    console.log(JSON.stringify(agent.stats));
+    process.exit(0);
+  });
+}
+
+module.exports = createSimulatedAgent;
+module.exports.createSimulatedAgent = createSimulatedAgent;
@@ -0,0 +1,509 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const WebSocket = require('ws');
+const framing = require('../web/meshaudio-framing');
+const e2eCrypto = require('../web/meshaudio-e2e');
+const { createOggOpusMuxer } = require('../ogg');
+
+// Headless MeshAudio viewer for integration tests. It asks for a token, listens through the
+// relay and records every JSON message and audio frame it receives, with loss, reordering and
+// jitter statistics. The audio itself can be written out as Ogg Opus or WAV. With `e2e` it asks
+// for end-to-end encryption and decrypts the frames as the web client would. drop() and resume()
+// stand in for a page losing its connection and reconnecting. With `mode: 'webrtc'` it offers a
+// receive-only peer connection (werift, a dev dependency) and records the RTP packets as frames;
+// when ICE fails or times out it falls back to the relay as the web client does.
+//
+//   node tools/meshaudio-viewer.js --url http://localhost:4050/meshaudio --device dev1 \
+//     [--duration 10] [--profile voice] [--source tone] [--cookie "..."] [--out capture.opus] [--e2e] \
+//     [--mode webrtc]
+
+function createHeadlessViewer(options = {}) {
+  const {
+    url = process.env.MESHAUDIO_HTTP_URL || 'http://localhost:4050/meshaudio',
+    deviceId = process.env.MESHAUDIO_DEVICE_ID || 'simulated-device',
+    headers = {}, // extra token request headers, e.g. a MeshCentral session cookie
+    profile,
+    sourceId,
+    record = false,
+    e2e = false,
+    mode = 'wss', // requested transport: 'wss' or 'webrtc'
+    iceTimeoutMs = 5000, // give up on WebRTC when ICE has not connected by then
+    frameVersion = framing.LATEST_VERSION, // highest framing version offered; 0 sends no hello
+    out = null, // path for the received audio: Ogg Opus for opus streams, WAV for pcm
+    logger = console
+  } = options;
+
+  const base = url.replace(/\/$/, '');
+  const messages = []; // { at, msg }
+  const frames = []; // { at, seq, timestampMs, codec, bytes, level }
+  const waiters = new Set();
+  const counts = { reordered: 0, duplicates: 0 };
+  const seen = new Set();
+  let ws = null;
+  let session = null;
+  let format = null;
+  let version = 0; // framing version the relay confirmed
+  let lowestSeq = null;
+  let highestSeq = null;
+  let jitter = 0;
+  let lastTransit = null;
+  let endOfStream = null;
+  let writer = null;
+  let e2eState = null; // { keyPair, agentKey, listenerKeys, sealTalkback, streamKeys, deviceFingerprint }
+  let e2eQueue = Promise.resolve(); // keys and frames, handled in arrival order
+  let undecryptable = 0;
+  let peer = null; // { pc, timer, connected, seqCycles, lastSeq } while a WebRTC connection is set up or in use
+
+  function notify() {
+    waiters.forEach((waiter) => waiter.check());
+  }
+
+  // Resolves with the first recorded message (or frame, with `frames`) matching the predicate.
+  function waitFor(predicate, { timeoutMs = 5000, frames: onFrames = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const list = onFrames ? frames : messages;
+      const waiter = {
+        check() {
+          const hit = list.find((entry) => predicate(onFrames ? entry : entry.msg));
+          if (hit) {
+            waiters.delete(waiter);
+            clearTimeout(timer);
+            resolve(onFrames ? hit : hit.msg);
+          }
+        }
+      };
+      const timer = setTimeout(() => {
+        waiters.delete(waiter);
+        reject(new Error(`timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+      waiters.add(waiter);
+      waiter.check();
+    });
+  }
+
+  function waitForMessage(type, opts) {
+    return waitFor((msg) => msg.type === type, opts);
+  }
+
+  function waitForFrames(count, opts) {
+    return waitFor(() => frames.length >= count, { ...opts, frames: true }).then(() => frames.slice(0, count));
+  }
+
+  function send(payload) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+
+  async function start() {
+    const resp = await fetch(`${base}/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ deviceId, record })
+    });
+    if (!resp.ok) {
+      throw new Error(`token request failed: ${resp.status} ${await resp.text()}`);
+    }
+    session = await resp.json();
+    if (e2e) {
+      e2eState = { keyPair: await e2eCrypto.createKeyPair(), agentKey: null, listenerKeys: null, sealTalkback: null, streamKeys: new Map(), deviceFingerprint: null };
+    }
+
+    openSocket(() => {
+      send({ action: 'list_sources' });
+      send({ action: 'start', mode, profile, sourceId, e2e: e2eState ? { publicKey: e2eState.keyPair.encoded } : undefined });
+    });
+
+    const first = await waitFor((msg) => ['format', 'error', 'closed'].includes(msg.type), { timeoutMs: 15000 });
+    if (first.type !== 'format') {
+      throw new Error(`stream did not start: ${first.reason || first.code}`);
+    }
+    return session;
+  }
+
+  function openSocket(onOpen) {
+    const wsUrl = `${base.replace(/^http/, 'ws')}/view?sessionId=${encodeURIComponent(session.sessionId)}&token=${encodeURIComponent(session.token)}`;
+    const socket = new WebSocket(wsUrl);
+    ws = socket;
+    socket.on('open', () => {
+      if (frameVersion > 0) {
+        send({ action: 'hello', versions: framing.VERSIONS.filter((v) => v <= frameVersion) });
+      }
+      onOpen();
+    });
+    socket.on('message', (data, isBinary) => (isBinary ? onFrame(data) : onText(data)));
+    socket.on('close', (code, reason) => {
+      if (ws !== socket) {
+        return;
+      }
+      messages.push({ at: Date.now(), msg: { type: 'closed', code, reason: String(reason) } });
+      notify();
+    });
+    socket.on('error', (err) => {
+      logger.warn ? logger.warn(`Headless viewer socket error: ${err.message}`) : logger.log(`Headless viewer socket error: ${err.message}`);
+    });
+  }
+
+  // Drops the socket without a stop, as a lost connection would; the relay holds the listener.
+  function drop() {
+    closePeer();
+    const socket = ws;
+    ws = null;
+    if (socket) {
+      socket.terminate();
+    }
+  }
+
+  // Reconnects with the same token and asks the relay to continue the held stream. Resolves
+  // with the relay's 'resumed' reply; rejects when the stream can no longer be resumed.
+  async function resume() {
+    const earlier = new Set(messages.map((entry) => entry.msg));
+    openSocket(() => send({ action: 'resume' }));
+    const reply = await waitFor((msg) => !earlier.has(msg) && (msg.type === 'resumed' || (msg.type === 'error' && msg.scope === 'resume') || msg.type === 'closed'));
+    if (reply.type !== 'resumed') {
+      throw new Error(`resume failed: ${reply.reason || reply.code}`);
+    }
+    return reply;
+  }
+
+  function onText(data) {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString('utf8'));
+    } catch (_) {
+      return;
+    }
+    if (msg.type === 'format') {
+      format = msg.format;
+    }
+    if (msg.type === 'hello') {
+      version = msg.version;
+    }
+    if (msg.type === 'transport' && msg.mode === 'webrtc' && !peer) {
+      startPeer().catch((err) => fallbackToRelay(err.message));
+    }
+    if (msg.type === 'signal' && peer) {
+      handleSignal(msg.data).catch((err) => fallbackToRelay(err.message));
+    }
+    if (msg.type === 'e2e_key') {
+      e2eQueue = e2eQueue.then(() => acceptStreamKey(msg)).catch((err) => {
+        messages.push({ at: Date.now(), msg: { type: 'e2e_error', code: err.code, reason: err.message } });
+        notify();
+      });
+    }
+    messages.push({ at: Date.now(), msg });
+    notify();
+  }
+
+  async function acceptStreamKey(msg) {
+    if (msg.publicKey !== e2eState.agentKey) {
+      const agentKey = e2eCrypto.parsePublicKey(msg.publicKey);
+      e2eState.listenerKeys = await e2eCrypto.deriveListenerKeys(e2eState.keyPair, agentKey, 'viewer');
+      e2eState.sealTalkback = e2eCrypto.createTalkbackSealer(e2eState.listenerKeys.talkKey);
+      e2eState.streamKeys.clear();
+      e2eState.agentKey = msg.publicKey;
+      e2eState.deviceFingerprint = await e2eCrypto.fingerprint(agentKey);
+    }
+    e2eState.streamKeys.set(msg.keyId, await e2eCrypto.unwrapStreamKey(e2eState.listenerKeys.wrapKey, msg));
+  }
+
+  async function startPeer() {
+    const { RTCPeerConnection } = require('werift');
+    const pc = new RTCPeerConnection({ iceServers: [] });
+    const current = { pc, connected: false, timer: null, seqCycles: 0, lastSeq: undefined };
+    peer = current;
+    pc.addTransceiver('audio', { direction: 'recvonly' });
+    pc.onIceCandidate.subscribe((candidate) => {
+      send({ action: 'signal', data: { type: 'candidate', candidate: candidate ? candidate.toJSON() : null } });
+    });
+    pc.onTrack.subscribe((track) => {
+      track.onReceiveRtp.subscribe((rtp) => {
+        if (peer === current) {
+          onRtp(rtp);
+        }
+      });
+    });
+    pc.iceConnectionStateChange.subscribe((state) => {
+      if (state === 'connected' || state === 'completed') {
+        current.connected = true;
+        clearTimeout(current.timer);
+      } else if (state === 'failed' && peer === current) {
+        fallbackToRelay('ICE failed');
+      }
+    });
+    current.timer = setTimeout(() => {
+      if (!current.connected && peer === current) {
+        fallbackToRelay('ICE timed out');
+      }
+    }, iceTimeoutMs);
+
+    await pc.setLocalDescription(await pc.createOffer());
+    send({ action: 'signal', data: { type: 'offer', sdp: pc.localDescription.sdp } });
+  }
+
+  async function handleSignal(data) {
+    if (!data || !peer) {
+      return;
+    }
+    if (data.type === 'answer') {
+      await peer.pc.setRemoteDescription({ type: 'answer', sdp: data.sdp });
+    } else if (data.type === 'candidate' && data.candidate) {
+      await peer.pc.addIceCandidate(data.candidate);
+    }
+  }
+
+  function fallbackToRelay(reason) {
+    closePeer();
+    messages.push({ at: Date.now(), msg: { type: 'webrtc_failed', reason } });
+    notify();
+    send({ action: 'transport', mode: 'wss' });
+  }
+
+  function closePeer() {
+    if (!peer) {
+      return;
+    }
+    clearTimeout(peer.timer);
+    peer.pc.close().catch(() => {});
+    peer = null;
+  }
+
+  // RTP timestamps are on the 48 kHz Opus clock; as milliseconds they serve the jitter estimate.
+  // Sequence numbers are 16-bit and extended across wraps so the loss count stays meaningful.
+  function onRtp(rtp) {
+    const { sequenceNumber, timestamp } = rtp.header;
+    if (peer.lastSeq !== undefined && sequenceNumber < peer.lastSeq - 0x8000) {
+      peer.seqCycles += 0x10000;
+    }
+    peer.lastSeq = sequenceNumber;
+    addFrame({ seq: peer.seqCycles + sequenceNumber, timestampMs: timestamp / 48, codec: 'opus', payload: rtp.payload, transport: 'webrtc' }, Date.now());
+  }
+
+  function onFrame(data) {
+    const at = Date.now();
+    let frame;
+    try {
+      frame = framing.decode(data);
+    } catch (err) {
+      messages.push({ at, msg: { type: 'bad_frame', code: err.code, reason: err.message } });
+      notify();
+      return;
+    }
+    if (frame.type === framing.FRAME_TYPES.END_OF_STREAM) {
+      endOfStream = { at, seq: frame.seq, reason: frame.reason };
+      messages.push({ at, msg: { type: 'end_of_stream', seq: frame.seq, reason: frame.reason } });
+      notify();
+      return;
+    }
+    if (frame.type !== framing.FRAME_TYPES.AUDIO) {
+      return;
+    }
+    // As in the web client: with e2e only encrypted audio is accepted, and without it none is.
+    if (e2eState || frame.encrypted) {
+      if (!e2eState || !frame.encrypted) {
+        undecryptable += 1;
+        return;
+      }
+      e2eQueue = e2eQueue.then(() => e2eCrypto.decryptPayload(e2eState.streamKeys, frame.seq, frame.payload)).then(
+        (payload) => addFrame({ ...frame, payload }, at),
+        () => {
+          undecryptable += 1;
+        }
+      );
+      return;
+    }
+    addFrame(frame, at);
+  }
+
+  function addFrame(frame, at) {
+    if (seen.has(frame.seq)) {
+      counts.duplicates += 1;
+    } else {
+      seen.add(frame.seq);
+      lowestSeq = lowestSeq === null ? frame.seq : Math.min(lowestSeq, frame.seq);
+      if (highestSeq === null || frame.seq > highestSeq) {
+        highestSeq = frame.seq;
+      } else {
+        counts.reordered += 1;
+      }
+    }
+    // Interarrival jitter as in RFC 3550, on the millisecond clock of the frame timestamps.
+    const transit = at - frame.timestampMs;
+    if (lastTransit !== null) {
+      jitter += (Math.abs(transit - lastTransit) - jitter) / 16;
+    }
+    lastTransit = transit;
+
+    frames.push({ at, seq: frame.seq, timestampMs: frame.timestampMs, codec: frame.codec, bytes: frame.payload.length, level: frame.level, encrypted: Boolean(frame.encrypted), transport: frame.transport || 'wss' });
+    if (out) {
+      write(frame);
+    }
+    notify();
+  }
+
+  function write(frame) {
+    const codec = frame.codec || (format && format.codec);
+    if (!writer) {
+      const fd = fs.openSync(out, 'w');
+      const channels = (format && format.channels) || 2;
+      if (codec === 'pcm') {
+        writer = { fd, codec, bytes: 0, sampleRate: (format && format.sampleRate) || 48000, channels };
+        fs.writeSync(fd, wavHeader(writer));
+      } else {
+        writer = { fd, codec, muxer: createOggOpusMuxer({ channels }) };
+        fs.writeSync(fd, writer.muxer.header());
+      }
+    }
+    if (writer.codec === 'pcm') {
+      // L16 on the wire is big-endian; WAV wants little-endian.
+      const samples = Buffer.from(frame.payload);
+      samples.swap16();
+      fs.writeSync(writer.fd, samples);
+      writer.bytes += samples.length;
+    } else {
+      fs.writeSync(writer.fd, writer.muxer.packet(Buffer.from(frame.payload), frame.timestampMs));
+    }
+  }
+
+  function finishWriter() {
+    if (!writer) {
+      return;
+    }
+    if (writer.codec === 'pcm') {
+      fs.writeSync(writer.fd, wavHeader(writer), 0, 44, 0);
+    } else {
+      fs.writeSync(writer.fd, writer.muxer.end());
+    }
+    fs.closeSync(writer.fd);
+    writer = null;
+  }
+
+  function stats() {
+    const expected = highestSeq === null ? 0 : highestSeq - lowestSeq + 1;
+    return {
+      frames: frames.length,
+      bytes: frames.reduce((sum, frame) => sum + frame.bytes, 0),
+      lost: Math.max(0, expected - seen.size),
+      reordered: counts.reordered,
+      duplicates: counts.duplicates,
+      jitterMs: Math.round(jitter * 10) / 10,
+      undecryptable,
+      e2e: e2eState && e2eState.deviceFingerprint
+        ? { deviceFingerprint: e2eState.deviceFingerprint, viewerFingerprint: e2eState.keyPair.fingerprint }
+        : null,
+      format,
+      endOfStream
+    };
+  }
+
+  // Sends one talkback frame; talk_start must have been sent first. Encrypted with the talkback
+  // key as the web client does when e2e is on.
+  async function sendTalkback(payload, seq) {
+    const frame = { type: framing.FRAME_TYPES.TALKBACK, seq, timestampMs: Date.now(), codec: 'opus', payload };
+    if (e2eState) {
+      // As in the web client, the talkback key's own counter replaces the microphone's seq.
+      await e2eQueue;
+      Object.assign(frame, await e2eState.sealTalkback(payload), { encrypted: true });
+    }
+    const data = framing.encode({ ...frame, version });
+    if (data && ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(data, { binary: true });
+    }
+  }
+
+  // Sends stop and resolves once the socket has closed.
+  function stop() {
+    closePeer();
+    finishWriter();
+    if (!ws || ws.readyState === WebSocket.CLOSED) {
+      return Promise.resolve();
+    }
+    send({ action: 'stop' });
+    return new Promise((resolve) => {
+      ws.once('close', resolve);
+      ws.close(1000, 'viewer done');
+    });
+  }
+
+  return {
+    start,
+    stop,
+    drop,
+    resume,
+    send,
+    sendTalkback,
+    stats,
+    waitFor,
+    waitForMessage,
+    waitForFrames,
+    messages,
+    frames,
+    get session() {
+      return session;
+    }
+  };
+}
+
+function wavHeader({ bytes, sampleRate, channels }) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + bytes, 4);
+  header.write('WAVEfmt ', 8, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(bytes, 40);
+  return header;
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      url: { type: 'string' },
+      device: { type: 'string' },
+      cookie: { type: 'string' },
+      profile: { type: 'string' },
+      source: { type: 'string' },
+      'frame-version': { type: 'string' },
+      duration: { type: 'string' },
+      out: { type: 'string' },
+      e2e: { type: 'boolean' },
+      mode: { type: 'string' }
+    }
+  });
+  const viewer = createHeadlessViewer({
+    url: values.url,
+    deviceId: values.device,
+    headers: values.cookie ? { cookie: values.cookie } : {},
+    profile: values.profile,
+    sourceId: values.source,
+    frameVersion: values['frame-version'] === undefined ? undefined : Number(values['frame-version']),
+    out: values.out,
+    e2e: values.e2e,
+    mode: values.mode
+  });
+  const finish = async () => {
+    await viewer.stop();
+    console.log(JSON.stringify(viewer.stats(), null, 2));
+    process.exit(0);
+  };
+  viewer.start().then(
+    () => {
+      process.on('SIGINT', finish);
+      setTimeout(finish, Number(values.duration || 10) * 1000);
+    },
+    (err) => {
+      console.error(err.message);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = createHeadlessViewer;
+module.exports.createHeadlessViewer = createHeadlessViewer;
@@ -0,0 +1,179 @@
+(() => {
+  // Served as <mount path>/admin, so API paths are relative to the plugin mount point.
+  const API = 'admin';
+  const REFRESH_MS = 5000;
+
+  const errorEl = document.getElementById('error');
+  const agentsEl = document.getElementById('agents');
+  const sessionsEl = document.getElementById('sessions');
+  const eventsEl = document.getElementById('events');
+  const form = document.getElementById('settings');
+  const settingsNote = document.getElementById('settings-note');
+
+  async function api(path, options = {}) {
+    const res = await fetch(`${API}${path}`, {
+      credentials: 'same-origin',
+      headers: options.body ? { 'Content-Type': 'application/json' } : undefined,
+      ...options
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(body.error || `Request failed (${res.status})`);
+    }
+    return body;
+  }
+
+  function formatTime(ms) {
+    return ms ? new Date(ms).toLocaleString() : '';
+  }
+
+  function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) {
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+
+  function row(cells, action) {
+    const tr = document.createElement('tr');
+    cells.forEach((value) => {
+      const td = document.createElement('td');
+      td.textContent = value === undefined || value === null ? '' : String(value);
+      tr.appendChild(td);
+    });
+    const td = document.createElement('td');
+    if (action) {
+      const btn = document.createElement('button');
+      btn.textContent = action.label;
+      btn.addEventListener('click', action.run);
+      td.appendChild(btn);
+    }
+    tr.appendChild(td);
+    return tr;
+  }
+
+  function fill(tbody, rows, columns, emptyText) {
+    tbody.textContent = '';
+    if (!rows.length) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = columns;
+      td.className = 'empty';
+      td.textContent = emptyText;
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+      return;
+    }
+    rows.forEach((tr) => tbody.appendChild(tr));
+  }
+
+  function confirmThen(message, fn) {
+    return async () => {
+      if (!window.confirm(message)) {
+        return;
+      }
+      try {
+        await fn();
+        await refresh();
+      } catch (err) {
+        errorEl.textContent = err.message;
+      }
+    };
+  }
+
+  async function refresh() {
+    try {
+      const [{ agents }, { sessions }, { events }] = await Promise.all([
+        api('/agents'),
+        api('/sessions'),
+        api('/events')
+      ]);
+      errorEl.textContent = '';
+
+      fill(agentsEl, agents.map((agent) => row(
+        [agent.deviceId, formatTime(agent.connectedAt), agent.remoteAddress, formatTime(agent.lastHeartbeat), agent.listeners],
+        {
+          label: 'Disconnect',
+          run: confirmThen(`Disconnect the audio agent on ${agent.deviceId}?`, () => api(`/agents/${encodeURIComponent(agent.deviceId)}`, { method: 'DELETE' }))
+        }
+      )), 6, 'No audio agents connected');
+
+      fill(sessionsEl, sessions.map((session) => row(
+        [
+          session.userId,
+          session.deviceId,
+          session.state,
+          session.e2e ? `${session.transport}, end-to-end encrypted` : session.transport,
+          session.bitrate ? `${Math.round(session.bitrate / 1000)} kbps` : '',
+          formatBytes(session.bytes),
+          formatTime(session.createdAt),
+          formatTime(session.expiresAt)
+        ],
+        {
+          label: 'Stop',
+          run: confirmThen(`Stop ${session.userId}'s session on ${session.deviceId}?`, () => api(`/sessions/${encodeURIComponent(session.sessionId)}`, { method: 'DELETE' }))
+        }
+      )), 9, 'No sessions');
+
+      eventsEl.textContent = '';
+      events.forEach((event) => {
+        const div = document.createElement('div');
+        const { at, type, ...fields } = event;
+        const details = Object.entries(fields)
+          .filter(([, value]) => value !== undefined && value !== null)
+          .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+          .join(' ');
+        div.textContent = `${formatTime(at)}  ${type}  ${details}`;
+        eventsEl.appendChild(div);
+      });
+    } catch (err) {
+      errorEl.textContent = err.message;
+    }
+  }
+
+  async function loadSettings() {
+    const { settings } = await api('/settings');
+    form.tokenTtlSeconds.value = Math.round(settings.tokenTtlMs / 1000);
+    form.maxListenersPerDevice.value = settings.maxListenersPerDevice;
+    form.recordingPolicy.value = settings.recordingPolicy;
+    // A policy hook configured in code is shown but cannot be replaced from here.
+    form.recordingPolicy.disabled = settings.recordingPolicy === 'custom';
+    form.querySelectorAll('input[name="mode"]').forEach((input) => {
+      input.checked = settings.allowedModes.includes(input.value);
+    });
+    form.consentPolicy.value = settings.consentPolicy;
+    form.consentPolicy.disabled = settings.consentPolicy === 'custom';
+    form.consentGroups.value = settings.consentGroups.join(', ');
+    settingsNote.textContent = settings.persisted ? '' : 'Changes apply until the server restarts.';
+  }
+
+  form.addEventListener('submit', async (evt) => {
+    evt.preventDefault();
+    const patch = {
+      tokenTtlMs: Number(form.tokenTtlSeconds.value) * 1000,
+      maxListenersPerDevice: Number(form.maxListenersPerDevice.value),
+      allowedModes: [...form.querySelectorAll('input[name="mode"]:checked')].map((input) => input.value)
+    };
+    if (!form.recordingPolicy.disabled) {
+      patch.recordingPolicy = form.recordingPolicy.value;
+    }
+    if (!form.consentPolicy.disabled) {
+      patch.consentPolicy = form.consentPolicy.value;
+    }
+    patch.consentGroups = form.consentGroups.value.split(',').map((group) => group.trim()).filter(Boolean);
+    try {
+      await api('/settings', { method: 'PUT', body: JSON.stringify(patch) });
+      await loadSettings();
+      settingsNote.textContent = 'Saved';
+      refresh();
+    } catch (err) {
+      settingsNote.textContent = err.message;
+    }
+  });
+
+  loadSettings().catch((err) => {
+    errorEl.textContent = err.message;
+  });
+  refresh();
+  setInterval(refresh, REFRESH_MS);
+})();
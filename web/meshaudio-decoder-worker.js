@@ -0,0 +1,38 @@
+/* global importScripts */
+// Fallback Opus decoder for browsers without WebCodecs. Runs the opus-decoder WebAssembly
+// build (served by the plugin under /meshaudio/client/vendor) off the main thread and posts
+// planar Float32 PCM back in the order packets were submitted.
+
+importScripts('vendor/opus-decoder.min.js');
+
+let decoder = null;
+let ready = null;
+
+self.onmessage = async (evt) => {
+  const msg = evt.data;
+  try {
+    if (msg.type === 'configure') {
+      const { OpusDecoder } = self['opus-decoder'];
+      if (decoder) {
+        decoder.free();
+      }
+      decoder = new OpusDecoder({ sampleRate: msg.sampleRate, channels: msg.channels, preSkip: 0 });
+      ready = decoder.ready;
+      await ready;
+      self.postMessage({ type: 'ready' });
+    } else if (msg.type === 'decode') {
+      await ready;
+      const { channelData, samplesDecoded, sampleRate } = decoder.decodeFrame(new Uint8Array(msg.data));
+      const channels = channelData.map((data) => data.slice(0, samplesDecoded));
+      self.postMessage(
+        { type: 'decoded', timestampUs: msg.timestampUs, channels, sampleRate },
+        channels.map((data) => data.buffer)
+      );
+    } else if (msg.type === 'reset') {
+      await ready;
+      await decoder.reset();
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err && err.message ? err.message : String(err) });
+  }
+};
@@ -0,0 +1,211 @@
+// MeshAudio end-to-end encryption, shared by the browser client (window.MeshAudioE2E) and Node
+// agents and tools (require('./web/meshaudio-e2e')). WebCrypto only; every function is async.
+//
+// Key exchange, over the control messages (the relay passes keys on without using them):
+//   viewer -> relay:  start { ..., e2e: { publicKey } }, an ephemeral ECDH P-256 key
+//   relay -> agent:   start { ..., e2e: true } for the stream, then e2e_join { sessionId,
+//                     publicKey } for each listener (again when a listener may have missed a
+//                     key, e.g. after a resume) and e2e_leave { sessionId } when one goes
+//   agent -> viewer:  e2e_key { sessionId, publicKey, keyId, salt, iv, wrappedKey }
+// Each side runs ECDH between its ephemeral key and the other's, then HKDF-SHA-256 (salt: the
+// viewer's key followed by the agent's) for a per-listener wrap key and talkback key. The agent
+// picks a random AES-256-GCM stream key with an 8 byte salt and sends it to every listener,
+// wrapped under that listener's wrap key. It may change keys at any time, e.g. when a listener
+// leaves, sending the new one to the remaining listeners before using it.
+//
+// Encrypted frames (framing flag 0x04) carry keyId u8 | AES-GCM ciphertext and tag. The nonce
+// is the key's salt followed by the frame seq (u32 big-endian), so a key must not outlive 2^32
+// frames. Talkback frames use the talker's talkback key (keyId 0) the same way. That key lasts
+// as long as the two key pairs, across push-to-talk presses, so talkback seq comes from one
+// counter per key (createTalkbackSealer) rather than from the microphone, and the agent accepts
+// each seq once, in increasing order (createTalkbackOpener). Seq, timestamp and codec stay
+// visible to the relay; agents should leave out levels in this mode.
+//
+// A fingerprint is the first 16 bytes of SHA-256 over a raw public key, in groups of four hex
+// digits. Both ends show both fingerprints so that users can compare them out of band.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('crypto').webcrypto);
+  } else {
+    root.MeshAudioE2E = factory(root.crypto);
+  }
+})(typeof self !== 'undefined' ? self : this, (webcrypto) => {
+  const subtle = webcrypto && webcrypto.subtle;
+  const CURVE = { name: 'ECDH', namedCurve: 'P-256' };
+  const PUBLIC_KEY_BYTES = 65; // uncompressed P-256 point
+  const SALT_BYTES = 8;
+  const encoder = new TextEncoder();
+
+  function e2eError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }
+
+  function toBase64(bytes) {
+    let text = '';
+    bytes.forEach((byte) => {
+      text += String.fromCharCode(byte);
+    });
+    return btoa(text);
+  }
+
+  function fromBase64(text) {
+    try {
+      return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+    } catch (_) {
+      throw e2eError('malformed', 'not base64');
+    }
+  }
+
+  function concat(a, b) {
+    const out = new Uint8Array(a.length + b.length);
+    out.set(a);
+    out.set(b, a.length);
+    return out;
+  }
+
+  function importAesKey(raw) {
+    return subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  // Decodes a base64 public key from a message, checking it looks like a P-256 point.
+  function parsePublicKey(encoded) {
+    const raw = typeof encoded === 'string' ? fromBase64(encoded) : new Uint8Array(0);
+    if (raw.length !== PUBLIC_KEY_BYTES || raw[0] !== 0x04) {
+      throw e2eError('malformed', 'not an uncompressed P-256 public key');
+    }
+    return raw;
+  }
+
+  async function fingerprint(rawPublicKey) {
+    const digest = new Uint8Array(await subtle.digest('SHA-256', rawPublicKey)).subarray(0, 16);
+    const hex = Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    return hex.match(/.{4}/g).join(' ');
+  }
+
+  // Returns { privateKey, publicKey (raw bytes), encoded (base64), fingerprint }.
+  async function createKeyPair() {
+    if (!subtle) {
+      throw e2eError('unavailable', 'WebCrypto is not available (pages need a secure context)');
+    }
+    const pair = await subtle.generateKey(CURVE, false, ['deriveBits']);
+    const publicKey = new Uint8Array(await subtle.exportKey('raw', pair.publicKey));
+    return { privateKey: pair.privateKey, publicKey, encoded: toBase64(publicKey), fingerprint: await fingerprint(publicKey) };
+  }
+
+  // `own` is this side's key pair and `role` its part ('viewer' or 'agent'). Returns
+  // { wrapKey, talkKey } for the listener the two keys belong to.
+  async function deriveListenerKeys(own, peerPublicKey, role) {
+    const peer = await subtle.importKey('raw', peerPublicKey, CURVE, false, []);
+    const secret = await subtle.deriveBits({ name: 'ECDH', public: peer }, own.privateKey, 256);
+    const hkdf = await subtle.importKey('raw', secret, 'HKDF', false, ['deriveBits']);
+    const salt = role === 'viewer' ? concat(own.publicKey, peerPublicKey) : concat(peerPublicKey, own.publicKey);
+    const expand = async (info, bits) => new Uint8Array(await subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(info) }, hkdf, bits));
+    const wrap = await expand('meshaudio e2e wrap', 256);
+    const talk = await expand('meshaudio e2e talkback', 256 + SALT_BYTES * 8);
+    return {
+      wrapKey: await importAesKey(wrap),
+      talkKey: { keyId: 0, key: await importAesKey(talk.subarray(0, 32)), salt: talk.slice(32) }
+    };
+  }
+
+  async function createStreamKey(keyId) {
+    const raw = webcrypto.getRandomValues(new Uint8Array(32));
+    const salt = webcrypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    return { keyId: keyId & 0xff, raw, salt, key: await importAesKey(raw) };
+  }
+
+  // The keyId and salt are bound to the wrapped key, so neither can be swapped in transit.
+  function wrapData(keyId, salt) {
+    return concat(Uint8Array.of(keyId), salt);
+  }
+
+  // Returns the key fields of an e2e_key message for one listener.
+  async function wrapStreamKey(wrapKey, streamKey) {
+    const iv = webcrypto.getRandomValues(new Uint8Array(12));
+    const wrapped = await subtle.encrypt({ name: 'AES-GCM', iv, additionalData: wrapData(streamKey.keyId, streamKey.salt) }, wrapKey, streamKey.raw);
+    return { keyId: streamKey.keyId, salt: toBase64(streamKey.salt), iv: toBase64(iv), wrappedKey: toBase64(new Uint8Array(wrapped)) };
+  }
+
+  async function unwrapStreamKey(wrapKey, msg) {
+    const salt = fromBase64(msg.salt);
+    if (salt.length !== SALT_BYTES || !Number.isInteger(msg.keyId)) {
+      throw e2eError('malformed', 'bad stream key');
+    }
+    let raw;
+    try {
+      raw = await subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(msg.iv), additionalData: wrapData(msg.keyId, salt) }, wrapKey, fromBase64(msg.wrappedKey));
+    } catch (_) {
+      throw e2eError('rejected', 'the stream key was not wrapped for this key pair');
+    }
+    return { keyId: msg.keyId, salt, key: await importAesKey(raw) };
+  }
+
+  function nonce(key, seq) {
+    const iv = new Uint8Array(12);
+    iv.set(key.salt);
+    new DataView(iv.buffer).setUint32(SALT_BYTES, seq >>> 0);
+    return iv;
+  }
+
+  async function encryptPayload(key, seq, payload) {
+    const sealed = new Uint8Array(await subtle.encrypt({ name: 'AES-GCM', iv: nonce(key, seq) }, key.key, payload));
+    return concat(Uint8Array.of(key.keyId), sealed);
+  }
+
+  // `keys` is a key, or a Map of keys by keyId. Rejects with `code` 'unknown_key' or 'rejected'
+  // (wrong key, or the frame was altered).
+  async function decryptPayload(keys, seq, payload) {
+    const key = keys instanceof Map ? keys.get(payload[0]) : keys;
+    if (!key || key.keyId !== payload[0]) {
+      throw e2eError('unknown_key', `no key ${payload[0]}`);
+    }
+    try {
+      return new Uint8Array(await subtle.decrypt({ name: 'AES-GCM', iv: nonce(key, seq) }, key.key, payload.subarray(1)));
+    } catch (_) {
+      throw e2eError('rejected', 'frame failed authentication');
+    }
+  }
+
+  // Returns seal(payload) => { seq, payload }, numbering frames for the key's lifetime.
+  function createTalkbackSealer(talkKey) {
+    let seq = 0;
+    return async (payload) => {
+      if (seq > 0xffffffff) {
+        throw e2eError('exhausted', 'talkback key used for 2^32 frames');
+      }
+      const current = seq;
+      seq += 1;
+      return { seq: current, payload: await encryptPayload(talkKey, current, payload) };
+    };
+  }
+
+  // Returns open(seq, payload) => plaintext, rejecting (`code` 'rejected') a seq at or below the
+  // last one opened, so frames cannot be replayed.
+  function createTalkbackOpener(talkKey) {
+    let last = -1;
+    return async (seq, payload) => {
+      if (seq <= last) {
+        throw e2eError('rejected', `talkback seq ${seq} already used`);
+      }
+      const plain = await decryptPayload(talkKey, seq, payload);
+      last = seq;
+      return plain;
+    };
+  }
+
+  return {
+    parsePublicKey,
+    fingerprint,
+    createKeyPair,
+    deriveListenerKeys,
+    createStreamKey,
+    wrapStreamKey,
+    unwrapStreamKey,
+    encryptPayload,
+    decryptPayload,
+    createTalkbackSealer,
+    createTalkbackOpener
+  };
+});
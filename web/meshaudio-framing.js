@@ -0,0 +1,272 @@
+// MeshAudio binary framing, shared by the relay (require('./web/meshaudio-framing')) and the
+// browser client (window.MeshAudioFraming). All multi-byte fields are little-endian.
+//
+// Version 0 (the original, unversioned format):
+//   type u8 | seq u32 | timestampMs i64 | payload
+//   Only audio (0x01, agent to viewer) and talkback (0x02, viewer to agent) exist.
+//
+// Version 1:
+//   marker u8 | type u8 | flags u8 | codec u8 | streamId u8 | seq u32 | timestampMs i64 | [level] | payload
+//   marker is 0xA0 | version, so it never collides with a version 0 type byte.
+//   type:    0x01 audio, 0x02 talkback, 0x10 keepalive, 0x11 clock sync, 0x12 end of stream
+//   flags:   0x01 level present, 0x02 clock sync response, 0x04 payload end-to-end encrypted
+//            (see meshaudio-e2e.js; version 0 cannot carry encrypted frames)
+//   codec:   0 unspecified, 1 opus, 2 pcm (L16)
+//   level:   rms u8, peak u8, each in whole dB below full scale (255 = silence)
+//   clock sync: a request carries its send time in timestampMs and no payload. The response
+//     echoes it in a payload of originateMs i64 | receiveMs i64 and carries its own send time
+//     in timestampMs, as in NTP.
+//   end of stream: seq is the last audio seq sent; the payload is an optional UTF-8 reason.
+//
+// Sockets start at version 0. Either side upgrades with a JSON hello listing the versions it
+// speaks (`{ action: 'hello', versions }` from a viewer, `{ type: 'hello', versions }` from an
+// agent); the relay answers with the highest common version, or a `protocol` scoped error
+// listing its own when there is none. The relay converts frames between the versions of the
+// two ends; fields a version cannot carry are dropped, and frame types it cannot carry are not sent.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MeshAudioFraming = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const VERSIONS = [0, 1];
+  const LATEST_VERSION = 1;
+
+  const FRAME_TYPES = {
+    AUDIO: 0x01,
+    TALKBACK: 0x02,
+    KEEPALIVE: 0x10,
+    CLOCK_SYNC: 0x11,
+    END_OF_STREAM: 0x12
+  };
+
+  const FLAGS = {
+    LEVEL: 0x01,
+    RESPONSE: 0x02,
+    ENCRYPTED: 0x04
+  };
+
+  const CODECS = ['', 'opus', 'pcm']; // index is the codec id
+
+  const MARKER = 0xa0;
+  const V0_HEADER = 13;
+  const V1_HEADER = 17;
+  const TWO_32 = 4294967296;
+
+  const KNOWN_TYPES = Object.values(FRAME_TYPES);
+  const V0_TYPES = [FRAME_TYPES.AUDIO, FRAME_TYPES.TALKBACK];
+
+  function framingError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }
+
+  function codecId(name) {
+    const id = CODECS.indexOf(name || '');
+    return id === -1 ? 0 : id;
+  }
+
+  function codecName(id) {
+    return CODECS[id] || null;
+  }
+
+  // Highest version both sides speak, or null.
+  function negotiate(offered, supported = VERSIONS) {
+    const common = (Array.isArray(offered) ? offered : []).map(Number).filter((v) => supported.includes(v));
+    return common.length ? Math.max(...common) : null;
+  }
+
+  function toBytes(data) {
+    if (data instanceof Uint8Array) {
+      return data;
+    }
+    if (data instanceof ArrayBuffer) {
+      return new Uint8Array(data);
+    }
+    if (data && ArrayBuffer.isView(data)) {
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    throw framingError('malformed', 'frame must be binary');
+  }
+
+  // Buffers in Node, Uint8Arrays in the browser.
+  function output(bytes) {
+    return typeof Buffer !== 'undefined' ? Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength) : bytes;
+  }
+
+  function readTime(view, offset) {
+    return view.getInt32(offset + 4, true) * TWO_32 + view.getUint32(offset, true);
+  }
+
+  function writeTime(view, offset, ms) {
+    const value = Math.round(ms || 0);
+    view.setUint32(offset, ((value % TWO_32) + TWO_32) % TWO_32, true);
+    view.setInt32(offset + 4, Math.floor(value / TWO_32), true);
+  }
+
+  function toDb(value) {
+    return Math.min(255, Math.max(0, Math.round(-(value || 0))));
+  }
+
+  function versionOf(bytes) {
+    if (!bytes.length) {
+      throw framingError('malformed', 'empty frame');
+    }
+    if ((bytes[0] & 0xf0) === MARKER) {
+      return bytes[0] & 0x0f;
+    }
+    if (V0_TYPES.includes(bytes[0])) {
+      return 0;
+    }
+    throw framingError('malformed', `unknown frame type 0x${bytes[0].toString(16)}`);
+  }
+
+  // Returns { version, type, flags, encrypted, codec, streamId, seq, timestampMs, level, payload } plus
+  // originateMs/receiveMs for clock sync responses and reason for end of stream. `codec` is a
+  // name ('opus', 'pcm') or null. Throws an Error whose `code` is 'unsupported_version'
+  // or 'malformed'.
+  function decode(data) {
+    const bytes = toBytes(data);
+    const version = versionOf(bytes);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (version === 0) {
+      if (bytes.length < V0_HEADER) {
+        throw framingError('malformed', 'truncated frame');
+      }
+      return {
+        version,
+        type: bytes[0],
+        flags: 0,
+        encrypted: false,
+        codec: null,
+        streamId: 0,
+        seq: view.getUint32(1, true),
+        timestampMs: readTime(view, 5),
+        level: null,
+        payload: bytes.subarray(V0_HEADER)
+      };
+    }
+
+    if (version !== 1) {
+      throw framingError('unsupported_version', `unsupported frame version ${version}`);
+    }
+    if (bytes.length < V1_HEADER) {
+      throw framingError('malformed', 'truncated frame');
+    }
+    const type = bytes[1];
+    if (!KNOWN_TYPES.includes(type)) {
+      throw framingError('malformed', `unknown frame type 0x${type.toString(16)}`);
+    }
+    const flags = bytes[2];
+    let offset = V1_HEADER;
+    let level = null;
+    if (flags & FLAGS.LEVEL) {
+      if (bytes.length < offset + 2) {
+        throw framingError('malformed', 'truncated level');
+      }
+      level = { rms: -bytes[offset], peak: -bytes[offset + 1] };
+      offset += 2;
+    }
+    const frame = {
+      version,
+      type,
+      flags,
+      encrypted: Boolean(flags & FLAGS.ENCRYPTED),
+      codec: codecName(bytes[3]),
+      streamId: bytes[4],
+      seq: view.getUint32(5, true),
+      timestampMs: readTime(view, 9),
+      level,
+      payload: bytes.subarray(offset)
+    };
+
+    if (type === FRAME_TYPES.CLOCK_SYNC && flags & FLAGS.RESPONSE) {
+      if (frame.payload.length < 16) {
+        throw framingError('malformed', 'truncated clock sync response');
+      }
+      frame.originateMs = readTime(view, offset);
+      frame.receiveMs = readTime(view, offset + 8);
+    } else if (type === FRAME_TYPES.END_OF_STREAM) {
+      frame.reason = frame.payload.length ? new TextDecoder().decode(frame.payload) : null;
+    }
+    return frame;
+  }
+
+  // Encodes a frame shaped like decode()'s result. `version` defaults to the latest. Returns
+  // null when the version cannot carry the frame type or an encrypted payload; other version 1
+  // fields are dropped silently when encoding to version 0.
+  function encode(frame) {
+    const version = frame.version === undefined ? LATEST_VERSION : frame.version;
+    let payload = frame.payload ? toBytes(frame.payload) : new Uint8Array(0);
+
+    if (version === 0) {
+      if (!V0_TYPES.includes(frame.type) || frame.encrypted) {
+        return null;
+      }
+      const bytes = new Uint8Array(V0_HEADER + payload.length);
+      const view = new DataView(bytes.buffer);
+      bytes[0] = frame.type;
+      view.setUint32(1, frame.seq >>> 0, true);
+      writeTime(view, 5, frame.timestampMs);
+      bytes.set(payload, V0_HEADER);
+      return output(bytes);
+    }
+
+    if (version !== 1) {
+      throw framingError('unsupported_version', `unsupported frame version ${version}`);
+    }
+    if (!KNOWN_TYPES.includes(frame.type)) {
+      throw framingError('malformed', `unknown frame type ${frame.type}`);
+    }
+
+    let flags = 0;
+    if (frame.level) {
+      flags |= FLAGS.LEVEL;
+    }
+    if (frame.encrypted) {
+      flags |= FLAGS.ENCRYPTED;
+    }
+    if (frame.type === FRAME_TYPES.CLOCK_SYNC && frame.originateMs !== undefined) {
+      flags |= FLAGS.RESPONSE;
+      payload = new Uint8Array(16);
+      const times = new DataView(payload.buffer);
+      writeTime(times, 0, frame.originateMs);
+      writeTime(times, 8, frame.receiveMs);
+    } else if (frame.type === FRAME_TYPES.END_OF_STREAM && frame.reason) {
+      payload = new TextEncoder().encode(frame.reason);
+    }
+
+    const levelBytes = frame.level ? 2 : 0;
+    const bytes = new Uint8Array(V1_HEADER + levelBytes + payload.length);
+    const view = new DataView(bytes.buffer);
+    bytes[0] = MARKER | version;
+    bytes[1] = frame.type;
+    bytes[2] = flags;
+    bytes[3] = typeof frame.codec === 'number' ? frame.codec : codecId(frame.codec);
+    bytes[4] = frame.streamId || 0;
+    view.setUint32(5, (frame.seq || 0) >>> 0, true);
+    writeTime(view, 9, frame.timestampMs);
+    if (frame.level) {
+      bytes[V1_HEADER] = toDb(frame.level.rms);
+      bytes[V1_HEADER + 1] = toDb(frame.level.peak);
+    }
+    bytes.set(payload, V1_HEADER + levelBytes);
+    return output(bytes);
+  }
+
+  return {
+    VERSIONS,
+    LATEST_VERSION,
+    FRAME_TYPES,
+    FLAGS,
+    CODECS,
+    negotiate,
+    decode,
+    encode,
+    codecId,
+    codecName
+  };
+});
@@ -0,0 +1,189 @@
+// AudioWorklet side of MeshAudioPlayer and MeshAudioMic.
+//
+// meshaudio-player pulls decoded PCM out of a ring buffer at the hardware rate. The ring is a SharedArrayBuffer when the page is cross-origin isolated,
+// otherwise the processor owns it and PCM arrives over the message port.
+//
+// Ring layout: Int32 [writeIndex, readIndex] followed by planar Float32 channel data,
+// `capacity` frames per channel. Both indices are kept modulo capacity. The player never lets
+// the ring fill, so equal indices mean it is empty.
+//
+// Clock drift between the sender and the sound card shows up as the buffer slowly filling or
+// draining. The processor steers the smoothed buffer level back to the target by resampling in
+// proportion to the error, never by more than MAX_DRIFT_PPM, so the pitch change is inaudible.
+
+const MAX_DRIFT_PPM = 300;
+const DRIFT_GAIN = 0.05; // rate change per second of buffer error: 6 ms off target gives the maximum
+const LEVEL_SMOOTHING = 0.002; // per render quantum (about 1.3 s); averages out the sawtooth of packet arrivals
+const STATS_INTERVAL_BLOCKS = 8;
+
+class MeshAudioPlayerProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { channels, capacity, sab, targetFrames, maxFrames } = options.processorOptions;
+    this.channels = channels;
+    this.capacity = capacity;
+    if (sab) {
+      this.indices = new Int32Array(sab, 0, 2);
+      this.data = new Float32Array(sab, 8, capacity * channels);
+    } else {
+      this.indices = new Int32Array(2);
+      this.data = new Float32Array(capacity * channels);
+    }
+    this.targetFrames = targetFrames;
+    this.maxFrames = maxFrames;
+    this.level = null; // smoothed buffered frames
+    this.frac = 0;
+    this.primed = false;
+    this.underruns = 0;
+    this.resyncs = 0;
+    this.rate = 1;
+    this.blocks = 0;
+
+    this.port.onmessage = (evt) => this.handleMessage(evt.data);
+  }
+
+  handleMessage(msg) {
+    if (msg.type === 'pcm') {
+      this.write(msg.channels);
+    } else if (msg.type === 'config') {
+      this.targetFrames = msg.targetFrames;
+      this.maxFrames = msg.maxFrames;
+    } else if (msg.type === 'reset') {
+      Atomics.store(this.indices, 1, Atomics.load(this.indices, 0));
+      this.level = null;
+      this.frac = 0;
+      this.primed = false;
+      this.underruns = 0;
+      this.resyncs = 0;
+    }
+  }
+
+  // Only used when the ring is not shared; the main thread writes a shared ring itself.
+  write(channels) {
+    const frames = channels[0].length;
+    const writeIndex = Atomics.load(this.indices, 0);
+    for (let i = 0; i < frames; i += 1) {
+      const slot = (writeIndex + i) % this.capacity;
+      for (let ch = 0; ch < this.channels; ch += 1) {
+        const src = channels[Math.min(ch, channels.length - 1)];
+        this.data[ch * this.capacity + slot] = src[i];
+      }
+    }
+    Atomics.store(this.indices, 0, (writeIndex + frames) % this.capacity);
+  }
+
+  available() {
+    return (Atomics.load(this.indices, 0) - Atomics.load(this.indices, 1) + this.capacity) % this.capacity;
+  }
+
+  // `offset` frames past `index`; offsets stay well below the capacity.
+  sample(ch, index, offset) {
+    return this.data[ch * this.capacity + ((index + offset) % this.capacity)];
+  }
+
+  process(_inputs, outputs) {
+    const output = outputs[0];
+    const blockSize = output[0].length;
+    let available = this.available();
+    let readIndex = Atomics.load(this.indices, 1);
+
+    if (available > this.maxFrames) {
+      readIndex = (readIndex + available - this.targetFrames) % this.capacity;
+      available = this.targetFrames;
+      this.level = null;
+      this.resyncs += 1;
+    }
+
+    if (!this.primed && available >= this.targetFrames) {
+      this.primed = true;
+    }
+
+    this.rate = 1;
+    if (this.primed) {
+      this.level = this.level === null ? available : this.level + (available - this.level) * LEVEL_SMOOTHING;
+      const errorSec = (this.level - this.targetFrames) / sampleRate;
+      const ppm = Math.max(-MAX_DRIFT_PPM, Math.min(MAX_DRIFT_PPM, errorSec * DRIFT_GAIN * 1e6));
+      this.rate = 1 + ppm / 1e6;
+    }
+
+    const needed = Math.ceil(this.frac + blockSize * this.rate) + 1;
+    if (!this.primed || available < needed) {
+      if (this.primed) {
+        this.underruns += 1;
+        this.primed = false;
+        this.level = null;
+      }
+      output.forEach((channel) => channel.fill(0));
+    } else {
+      for (let ch = 0; ch < output.length; ch += 1) {
+        const src = Math.min(ch, this.channels - 1);
+        const out = output[ch];
+        for (let i = 0; i < blockSize; i += 1) {
+          const pos = this.frac + i * this.rate;
+          const base = Math.floor(pos);
+          const t = pos - base;
+          const a = this.sample(src, readIndex, base);
+          const b = this.sample(src, readIndex, base + 1);
+          out[i] = a + (b - a) * t;
+        }
+      }
+      const advance = this.frac + blockSize * this.rate;
+      const consumed = Math.floor(advance);
+      this.frac = advance - consumed;
+      readIndex = (readIndex + consumed) % this.capacity;
+    }
+    Atomics.store(this.indices, 1, readIndex);
+
+    this.blocks += 1;
+    if (this.blocks % STATS_INTERVAL_BLOCKS === 0) {
+      this.port.postMessage({
+        type: 'stats',
+        readIndex,
+        bufferedFrames: this.available(),
+        underruns: this.underruns,
+        resyncs: this.resyncs,
+        rate: this.rate
+      });
+    }
+    return true;
+  }
+}
+
+registerProcessor('meshaudio-player', MeshAudioPlayerProcessor);
+
+// meshaudio-capture hands microphone PCM (the first input channel) to the main thread in
+// blocks of `frames`, for the WebCodecs encoder there. Runs until told to stop.
+class MeshAudioCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.frames = options.processorOptions.frames;
+    this.block = new Float32Array(this.frames);
+    this.filled = 0;
+    this.active = true;
+    this.port.onmessage = (evt) => {
+      if (evt.data.type === 'stop') {
+        this.active = false;
+      }
+    };
+  }
+
+  process(inputs) {
+    // An input without channels means the microphone track has ended.
+    const samples = inputs[0].length ? inputs[0][0] : null;
+    let offset = 0;
+    while (samples && offset < samples.length) {
+      const count = Math.min(samples.length - offset, this.frames - this.filled);
+      this.block.set(samples.subarray(offset, offset + count), this.filled);
+      this.filled += count;
+      offset += count;
+      if (this.filled === this.frames) {
+        this.port.postMessage({ type: 'pcm', data: this.block }, [this.block.buffer]);
+        this.block = new Float32Array(this.frames);
+        this.filled = 0;
+      }
+    }
+    return this.active;
+  }
+}
+
+registerProcessor('meshaudio-capture', MeshAudioCaptureProcessor);
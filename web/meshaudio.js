@@ -1,5 +1,40 @@
 (() => {
-  const DEFAULT_ENDPOINT = '/meshaudio';
+  // Companion files (the playback worklet) are served next to this script.
+  const SCRIPT_BASE = document.currentScript && document.currentScript.src
+    ? new URL('.', document.currentScript.src).href
+    : '/meshaudio/client/';
+  // The plugin serves this script from <mount path>/client/, so the relay lives one level up.
+  const SCRIPT_PATH = new URL(SCRIPT_BASE, location.href).pathname;
+  const DEFAULT_ENDPOINT = SCRIPT_PATH.endsWith('/client/') ? SCRIPT_PATH.slice(0, -'/client/'.length) : '/meshaudio';
+  const KEEPALIVE_MS = 15000;
+  const CLOCK_SYNC_EVERY = 4; // keepalive periods between clock sync requests
+  const RECONNECT_BASE_DELAY_MS = 500;
+  const RECONNECT_MAX_DELAY_MS = 8000;
+  // Going away, abnormal closure, server error, service restart, try again later. Closes the
+  // relay chose (invalid session, displaced, too slow, ...) are final.
+  const RETRYABLE_CLOSE_CODES = [1001, 1006, 1011, 1012, 1013];
+
+  // The framing and end-to-end encryption modules are shared with the relay and agents; pages
+  // that did not include them get them loaded from next to this script.
+  const moduleLoads = {};
+  function loadModule(file, globalName) {
+    if (window[globalName]) {
+      return Promise.resolve(window[globalName]);
+    }
+    if (!moduleLoads[file]) {
+      moduleLoads[file] = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = `${SCRIPT_BASE}${file}`;
+        script.onload = () => resolve(window[globalName]);
+        script.onerror = () => {
+          delete moduleLoads[file];
+          reject(new Error(`Unable to load ${file}`));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return moduleLoads[file];
+  }
 
   function buildOpusHead(sampleRate, channels) {
     const buffer = new ArrayBuffer(19);
@@ -15,16 +50,162 @@
     return buffer;
   }
 
+  const MAX_PENDING_PACKETS = 8;
+  const MAX_CONCEALED_PACKETS = 5; // longer gaps are skipped rather than filled
+  const SEQ_RESTART_DISTANCE = 500; // a packet this far behind means the sender started over
+  const COMFORT_NOISE_LEVEL = 0.0005; // roughly -66 dBFS
+  const RING_SECONDS = 2;
+  const OUTPUT_CHANNELS = 2;
+  const CAPTURE_BLOCK_SEC = 0.02; // microphone PCM handed to the encoder per worklet message
+
+  function resampleLinear(input, fromRate, toRate) {
+    const length = Math.max(1, Math.round((input.length * toRate) / fromRate));
+    const output = new Float32Array(length);
+    const step = fromRate / toRate;
+    for (let i = 0; i < length; i += 1) {
+      const pos = i * step;
+      const base = Math.floor(pos);
+      const next = Math.min(base + 1, input.length - 1);
+      const t = pos - base;
+      output[i] = input[Math.min(base, input.length - 1)] * (1 - t) + input[next] * t;
+    }
+    return output;
+  }
+
+  // PCM/L16 payloads are interleaved big-endian signed 16-bit samples (RFC 3551).
+  function decodeL16(payload, channelCount) {
+    const view = new DataView(payload instanceof ArrayBuffer ? payload : payload.buffer, payload.byteOffset || 0, payload.byteLength);
+    const frames = Math.floor(view.byteLength / 2 / channelCount);
+    const channels = [];
+    for (let ch = 0; ch < channelCount; ch += 1) {
+      channels.push(new Float32Array(frames));
+    }
+    for (let i = 0; i < frames; i += 1) {
+      for (let ch = 0; ch < channelCount; ch += 1) {
+        channels[ch][i] = view.getInt16((i * channelCount + ch) * 2, false) / 32768;
+      }
+    }
+    return channels;
+  }
+
+  function describeFormat(format) {
+    if (!format) {
+      return '';
+    }
+    const codec = format.codec === 'pcm' ? 'PCM' : 'Opus';
+    const layout = format.channels === 1 ? 'mono' : 'stereo';
+    return `${codec} ${format.sampleRate / 1000} kHz ${layout}`;
+  }
+
+  function seqDiff(a, b) {
+    // Signed distance between two uint32 sequence numbers, wrap-around safe.
+    return (a - b) | 0;
+  }
+
+  function emptyStats() {
+    return {
+      received: 0,
+      decoded: 0,
+      lost: 0,
+      late: 0,
+      duplicate: 0,
+      reordered: 0,
+      concealed: 0,
+      dropped: 0,
+      underruns: 0,
+      resyncs: 0
+    };
+  }
+
   class MeshAudioPlayer {
-    constructor({ volume = 1.0 } = {}) {
+    constructor({
+      volume = 1.0,
+      reorderDelayMs = 40,
+      minLatencyMs = 40,
+      maxLatencyMs = 400,
+      workletUrl = `${SCRIPT_BASE}meshaudio-worklet.js`,
+      decoderWorkerUrl = `${SCRIPT_BASE}meshaudio-decoder-worker.js`,
+      decoderMode = 'auto' // 'auto' | 'webcodecs' | 'wasm'
+    } = {}) {
       this.volume = volume;
       this.ctx = null;
       this.gain = null;
       this.decoder = null;
-      this.playHead = 0;
-      this.baseTimestampUs = null;
-      this.playStart = 0;
-      this.jitterSec = 0.08; // 80ms buffer
+      this.decoderKind = null; // 'webcodecs' or 'wasm' once initialized
+      this.format = { codec: 'opus', sampleRate: 48000, channels: 2 };
+      this.decoderWorkerUrl = decoderWorkerUrl;
+      this.decoderMode = decoderMode;
+      this.node = null;
+      this.ring = null; // shared ring when cross-origin isolated, else PCM is posted to the worklet
+      this.ringCapacity = 0;
+      this.writeIndex = 0; // ring position the next PCM goes to, modulo ringCapacity
+      this.lastReadIndex = 0;
+      this.workletStats = { underruns: 0, resyncs: 0 };
+      this.latencyConfig = null;
+      this.started = false;
+      this.workletUrl = workletUrl;
+      this.reorderDelayMs = reorderDelayMs;
+      this.minLatencySec = minLatencyMs / 1000;
+      this.maxLatencySec = Math.max(maxLatencyMs, minLatencyMs) / 1000;
+      this.resetJitterBuffer();
+    }
+
+    resetJitterBuffer() {
+      if (this.gapTimer) {
+        clearTimeout(this.gapTimer);
+      }
+      this.pending = new Map(); // seq -> { payload, timestampMs }
+      this.nextSeq = null;
+      this.highestSeq = null;
+      this.recentSeqs = new Set();
+      this.lastTimestampMs = null;
+      this.frameMs = 20;
+      this.gapTimer = null;
+      this.outputQueue = []; // decode submissions and concealments, in playback order
+      this.lastPcm = null;
+      this.consecutiveLoss = 0;
+      this.jitterMs = 0;
+      this.lastArrivalMs = null;
+      this.lastArrivalTimestampMs = null;
+      this.stats = emptyStats();
+    }
+
+    getStats() {
+      return {
+        ...this.stats,
+        buffered: this.pending.size,
+        jitterMs: Math.round(this.jitterMs * 10) / 10,
+        underruns: this.workletStats.underruns,
+        resyncs: this.workletStats.resyncs,
+        latencyMs: Math.round(this.currentLatency() * 1000),
+        targetLatencyMs: Math.round(this.targetLatency() * 1000)
+      };
+    }
+
+    // Interarrival jitter estimate as in RFC 3550 section 6.4.1, in milliseconds.
+    trackArrival(timestampMs) {
+      const now = performance.now();
+      if (this.lastArrivalMs !== null) {
+        const transitDelta = now - this.lastArrivalMs - (timestampMs - this.lastArrivalTimestampMs);
+        this.jitterMs += (Math.abs(transitDelta) - this.jitterMs) / 16;
+      }
+      this.lastArrivalMs = now;
+      this.lastArrivalTimestampMs = timestampMs;
+    }
+
+    // Enough buffer for one frame plus a few jitter deviations, kept within the configured bounds.
+    // The upper half of the range is headroom before a resync is forced.
+    targetLatency() {
+      const wanted = (this.frameMs * 1.5 + this.jitterMs * 4) / 1000;
+      return Math.min(Math.max(wanted, this.minLatencySec), Math.max(this.minLatencySec, this.maxLatencySec / 2));
+    }
+
+    currentLatency() {
+      if (!this.ctx || !this.started) {
+        return 0;
+      }
+      const readIndex = this.ring ? Atomics.load(this.ring.indices, 1) : this.lastReadIndex;
+      return ((this.writeIndex - readIndex + this.ringCapacity) % this.ringCapacity) / this.ctx.sampleRate;
     }
 
     async init() {
@@ -36,26 +217,145 @@
       this.gain = this.ctx.createGain();
       this.gain.gain.value = this.volume;
       this.gain.connect(this.ctx.destination);
+      await this.initWorklet();
 
-      if (!('AudioDecoder' in window)) {
+      const hasWebCodecs = 'AudioDecoder' in window;
+      if (this.decoderMode === 'webcodecs' && !hasWebCodecs) {
         throw new Error('WebCodecs AudioDecoder not supported in this browser');
       }
+      if (hasWebCodecs && this.decoderMode !== 'wasm') {
+        this.initWebCodecsDecoder();
+      } else {
+        await this.initWasmDecoder();
+      }
+    }
+
+    get decoderName() {
+      if (this.decoderKind === 'webcodecs') {
+        return 'WebCodecs';
+      }
+      return this.decoderKind === 'wasm' ? 'WebAssembly' : 'none';
+    }
 
+    initWebCodecsDecoder() {
       this.decoder = new AudioDecoder({
         output: (audioData) => this.handleDecoded(audioData),
-        error: (err) => console.error('Decoder error', err)
+        error: (err) => {
+          console.error('Decoder error', err);
+          this.outputQueue = [];
+        }
       });
 
-      const opusHead = buildOpusHead(48000, 2);
+      this.configureWebCodecs();
+      this.decoderKind = 'webcodecs';
+    }
+
+    configureWebCodecs() {
+      const { sampleRate, channels } = this.format;
+      const opusHead = buildOpusHead(sampleRate, channels);
 
       this.decoder.configure({
         codec: 'opus',
-        sampleRate: 48000,
-        numberOfChannels: 2,
+        sampleRate,
+        numberOfChannels: channels,
         description: opusHead
       });
     }
 
+    // Switches decoding to the format the relay negotiated with the agent.
+    configure(format) {
+      this.format = { ...format };
+      if (format.codec !== 'opus' || !this.decoder) {
+        return;
+      }
+      if (this.decoderKind === 'webcodecs') {
+        this.configureWebCodecs();
+      } else {
+        this.decoder.postMessage({ type: 'configure', sampleRate: format.sampleRate, channels: format.channels });
+      }
+    }
+
+    // Loaded lazily: the worker and its WebAssembly payload are only fetched when needed.
+    initWasmDecoder() {
+      return new Promise((resolve, reject) => {
+        const worker = new Worker(this.decoderWorkerUrl);
+        worker.onmessage = (evt) => {
+          const msg = evt.data;
+          if (msg.type === 'ready') {
+            this.decoder = worker;
+            this.decoderKind = 'wasm';
+            resolve();
+          } else if (msg.type === 'decoded') {
+            this.handlePcm(msg.channels, msg.sampleRate);
+          } else if (msg.type === 'error') {
+            console.error('Decoder error', msg.message);
+            if (!this.decoder) {
+              worker.terminate();
+              reject(new Error(`WebAssembly decoder failed: ${msg.message}`));
+            }
+            this.outputQueue = [];
+          }
+        };
+        worker.onerror = (evt) => {
+          worker.terminate();
+          reject(new Error(`WebAssembly decoder failed to load: ${evt.message || 'worker error'}`));
+        };
+        worker.postMessage({ type: 'configure', sampleRate: this.format.sampleRate, channels: this.format.channels });
+      });
+    }
+
+    async initWorklet() {
+      if (!this.ctx.audioWorklet) {
+        throw new Error('AudioWorklet not supported in this browser');
+      }
+      await this.ctx.audioWorklet.addModule(this.workletUrl);
+
+      const capacity = Math.ceil(this.ctx.sampleRate * Math.max(RING_SECONDS, this.maxLatencySec * 2));
+      this.ringCapacity = capacity;
+      let sab = null;
+      if (typeof SharedArrayBuffer !== 'undefined' && window.crossOriginIsolated) {
+        sab = new SharedArrayBuffer(8 + capacity * OUTPUT_CHANNELS * 4);
+        this.ring = {
+          capacity,
+          indices: new Int32Array(sab, 0, 2),
+          data: new Float32Array(sab, 8, capacity * OUTPUT_CHANNELS)
+        };
+      }
+
+      this.latencyConfig = this.latencyFrames();
+      this.node = new AudioWorkletNode(this.ctx, 'meshaudio-player', {
+        numberOfInputs: 0,
+        numberOfOutputs: 1,
+        outputChannelCount: [OUTPUT_CHANNELS],
+        processorOptions: { channels: OUTPUT_CHANNELS, capacity, sab, ...this.latencyConfig }
+      });
+      this.node.port.onmessage = (evt) => {
+        if (evt.data.type === 'stats') {
+          this.lastReadIndex = evt.data.readIndex;
+          this.workletStats = { underruns: evt.data.underruns, resyncs: evt.data.resyncs };
+        }
+      };
+      this.node.connect(this.gain);
+    }
+
+    latencyFrames() {
+      const rate = this.ctx.sampleRate;
+      return {
+        targetFrames: Math.round(this.targetLatency() * rate),
+        maxFrames: Math.round(this.maxLatencySec * rate)
+      };
+    }
+
+    // Keeps the worklet's target in step with the jitter estimate without messaging every frame.
+    syncLatencyConfig() {
+      const config = this.latencyFrames();
+      const frameTolerance = this.ctx.sampleRate * 0.005;
+      if (!this.latencyConfig || Math.abs(config.targetFrames - this.latencyConfig.targetFrames) > frameTolerance) {
+        this.latencyConfig = config;
+        this.node.port.postMessage({ type: 'config', ...config });
+      }
+    }
+
     async resume() {
       if (this.ctx && this.ctx.state === 'suspended') {
         await this.ctx.resume();
@@ -69,10 +369,152 @@
       }
     }
 
-    enqueue(opusPayload, timestampMs) {
+    // WebRTC mode: the browser decodes and jitter-buffers the track itself, so it bypasses the
+    // ring and is routed straight into the volume stage.
+    attachStream(stream) {
+      this.detachStream();
+      // Chrome only pulls remote WebRTC audio into Web Audio while a media element consumes it.
+      this.streamSink = new Audio();
+      this.streamSink.muted = true;
+      this.streamSink.srcObject = stream;
+      this.streamSink.play().catch(() => {});
+      this.streamSource = this.ctx.createMediaStreamSource(stream);
+      this.streamSource.connect(this.gain);
+    }
+
+    detachStream() {
+      if (this.streamSource) {
+        this.streamSource.disconnect();
+        this.streamSource = null;
+      }
+      if (this.streamSink) {
+        this.streamSink.srcObject = null;
+        this.streamSink = null;
+      }
+    }
+
+    // Packets are held briefly so late arrivals can be put back in sequence order.
+    // Without a seq (older callers) the packet is decoded immediately.
+    enqueue(opusPayload, timestampMs, seq) {
       if (!this.decoder) {
         return;
       }
+      this.stats.received += 1;
+      this.trackArrival(timestampMs);
+      if (seq === undefined) {
+        this.decodePacket(opusPayload, timestampMs);
+        return;
+      }
+
+      if (this.nextSeq === null) {
+        this.nextSeq = seq;
+      }
+      if (this.recentSeqs.has(seq) || this.pending.has(seq)) {
+        this.stats.duplicate += 1;
+        return;
+      }
+      if (seqDiff(seq, this.nextSeq) < -SEQ_RESTART_DISTANCE) {
+        // An agent that restarted without an end-of-stream marker (e.g. after reconnecting).
+        this.endOfStream();
+        this.nextSeq = seq;
+      } else if (seqDiff(seq, this.nextSeq) < 0) {
+        // Already concealed or skipped past this one.
+        this.stats.late += 1;
+        return;
+      }
+      if (this.highestSeq !== null && seqDiff(seq, this.highestSeq) < 0) {
+        this.stats.reordered += 1;
+      }
+      if (this.highestSeq === null || seqDiff(seq, this.highestSeq) > 0) {
+        this.highestSeq = seq;
+      }
+
+      this.pending.set(seq, { payload: opusPayload, timestampMs });
+      this.drain();
+    }
+
+    drain() {
+      while (this.pending.has(this.nextSeq)) {
+        const { payload, timestampMs } = this.pending.get(this.nextSeq);
+        this.pending.delete(this.nextSeq);
+        this.markDecoded(this.nextSeq, timestampMs);
+        this.decodePacket(payload, timestampMs);
+        this.nextSeq = (this.nextSeq + 1) >>> 0;
+      }
+
+      if (this.pending.size === 0) {
+        if (this.gapTimer) {
+          clearTimeout(this.gapTimer);
+          this.gapTimer = null;
+        }
+        return;
+      }
+
+      if (this.pending.size >= MAX_PENDING_PACKETS) {
+        this.skipGap();
+      } else if (!this.gapTimer) {
+        this.gapTimer = setTimeout(() => {
+          this.gapTimer = null;
+          this.skipGap();
+        }, this.reorderDelayMs);
+      }
+    }
+
+    // Nothing follows an end-of-stream marker, so held packets are played out now instead of
+    // waiting for gaps that will never fill, and the next stream may start at any seq.
+    endOfStream() {
+      while (this.pending.size) {
+        this.skipGap();
+      }
+      this.nextSeq = null;
+      this.highestSeq = null;
+      this.recentSeqs.clear();
+    }
+
+    // Gives up on the missing packet(s) before the oldest buffered one and conceals them.
+    skipGap() {
+      let oldest = null;
+      for (const seq of this.pending.keys()) {
+        if (oldest === null || seqDiff(seq, oldest) < 0) {
+          oldest = seq;
+        }
+      }
+      if (oldest === null) {
+        return;
+      }
+
+      const missing = seqDiff(oldest, this.nextSeq);
+      this.stats.lost += missing;
+      const { timestampMs: nextTimestampMs } = this.pending.get(oldest);
+      const toConceal = Math.min(missing, MAX_CONCEALED_PACKETS);
+      for (let i = missing - toConceal; i < missing; i += 1) {
+        this.conceal(nextTimestampMs - (missing - i) * this.frameMs);
+      }
+      this.nextSeq = oldest;
+      this.drain();
+    }
+
+    markDecoded(seq, timestampMs) {
+      if (this.lastTimestampMs !== null && timestampMs > this.lastTimestampMs) {
+        this.frameMs = Math.min(120, timestampMs - this.lastTimestampMs);
+      }
+      this.lastTimestampMs = timestampMs;
+      this.recentSeqs.add(seq);
+      if (this.recentSeqs.size > 64) {
+        this.recentSeqs.delete(this.recentSeqs.values().next().value);
+      }
+    }
+
+    decodePacket(opusPayload, timestampMs) {
+      this.outputQueue.push({ kind: 'decode' });
+      if (this.format.codec === 'pcm') {
+        this.handlePcm(decodeL16(opusPayload, this.format.channels), this.format.sampleRate);
+        return;
+      }
+      if (this.decoderKind === 'wasm') {
+        this.decoder.postMessage({ type: 'decode', data: opusPayload, timestampUs: timestampMs * 1000 });
+        return;
+      }
       // EncodedAudioChunk expects microseconds
       const chunk = new EncodedAudioChunk({
         type: 'key',
@@ -82,65 +524,381 @@
       this.decoder.decode(chunk);
     }
 
-    handleDecoded(audioData) {
-      if (!this.ctx || !this.gain) {
-        audioData.close();
-        return;
+    conceal(timestampMs) {
+      this.outputQueue.push({ kind: 'conceal', timestampUs: timestampMs * 1000, durationMs: this.frameMs });
+      this.flushConcealment();
+    }
+
+    // Concealments queued behind in-flight decodes wait for those outputs so playback order holds.
+    flushConcealment() {
+      while (this.outputQueue.length && this.outputQueue[0].kind === 'conceal') {
+        const { timestampUs, durationMs } = this.outputQueue.shift();
+        this.scheduleConcealment(timestampUs, durationMs);
       }
+    }
 
-      // timestamp from AudioData is in microseconds
-      const timestampUs = Number(audioData.timestamp || 0);
-      if (this.baseTimestampUs === null) {
-        this.baseTimestampUs = timestampUs;
-        this.playStart = this.ctx.currentTime + this.jitterSec;
-        this.playHead = this.playStart;
+    // Repeats the last decoded frame with decaying gain, then falls back to comfort noise.
+    scheduleConcealment(timestampUs, durationMs) {
+      if (!this.ctx || !this.started) {
+        return;
+      }
+      const sampleRate = this.lastPcm ? this.lastPcm.sampleRate : this.ctx.sampleRate;
+      const frames = Math.max(1, Math.round((sampleRate * durationMs) / 1000));
+      const channelCount = this.lastPcm ? this.lastPcm.channels.length : 2;
+      const fade = Math.pow(0.5, this.consecutiveLoss + 1);
+      const channels = [];
+      for (let ch = 0; ch < channelCount; ch += 1) {
+        const out = new Float32Array(frames);
+        const prev = this.lastPcm ? this.lastPcm.channels[ch] : null;
+        for (let i = 0; i < frames; i += 1) {
+          const noise = (Math.random() * 2 - 1) * COMFORT_NOISE_LEVEL;
+          out[i] = prev && fade > 0.1 ? prev[i % prev.length] * fade + noise : noise;
+        }
+        channels.push(out);
       }
+      this.consecutiveLoss += 1;
+      this.stats.concealed += 1;
+      this.schedule(channels);
+    }
 
+    handleDecoded(audioData) {
       const { numberOfChannels, numberOfFrames, sampleRate } = audioData;
-      const audioBuffer = this.ctx.createBuffer(numberOfChannels, numberOfFrames, sampleRate);
-
+      const channels = [];
       for (let ch = 0; ch < numberOfChannels; ch += 1) {
         const channelData = new Float32Array(numberOfFrames);
         audioData.copyTo(channelData, { planeIndex: ch });
-        audioBuffer.copyToChannel(channelData, ch, 0);
+        channels.push(channelData);
       }
+      audioData.close();
+      this.handlePcm(channels, sampleRate);
+    }
 
-      const src = this.ctx.createBufferSource();
-      src.buffer = audioBuffer;
-      src.connect(this.gain);
+    // Common sink for both decoders; outputs arrive in submission order.
+    handlePcm(channels, sampleRate) {
+      if (!this.ctx || !this.gain || !channels.length) {
+        return;
+      }
 
-      const relSeconds = (timestampUs - this.baseTimestampUs) / 1_000_000;
-      const targetTime = this.playStart + relSeconds;
-      const startAt = Math.max(this.ctx.currentTime, this.playHead, targetTime);
-      src.start(startAt);
-      this.playHead = startAt + audioBuffer.duration;
+      this.outputQueue.shift();
+      if (sampleRate !== this.ctx.sampleRate) {
+        channels = channels.map((data) => resampleLinear(data, sampleRate, this.ctx.sampleRate));
+        sampleRate = this.ctx.sampleRate;
+      }
+      this.lastPcm = { channels, sampleRate };
+      this.consecutiveLoss = 0;
+      this.stats.decoded += 1;
+      this.schedule(channels);
+      this.flushConcealment();
+    }
 
-      audioData.close();
+    // Hands PCM to the worklet ring. The worklet absorbs clock drift by resampling slightly and
+    // resyncs past the latency ceiling; frames are dropped here when far behind after a stall.
+    schedule(channels) {
+      if (!this.node) {
+        return;
+      }
+      this.started = true;
+      this.syncLatencyConfig();
+      if (this.currentLatency() > this.targetLatency() + (this.frameMs / 1000) * 4) {
+        this.stats.dropped += 1;
+        return;
+      }
+
+      if (this.ring) {
+        this.writeShared(channels);
+      } else {
+        this.node.port.postMessage({ type: 'pcm', channels });
+      }
+      this.writeIndex = (this.writeIndex + channels[0].length) % this.ringCapacity;
+    }
+
+    writeShared(channels) {
+      const { capacity, indices, data } = this.ring;
+      const frames = channels[0].length;
+      const writeIndex = Atomics.load(indices, 0);
+      for (let i = 0; i < frames; i += 1) {
+        const slot = (writeIndex + i) % capacity;
+        for (let ch = 0; ch < OUTPUT_CHANNELS; ch += 1) {
+          data[ch * capacity + slot] = channels[Math.min(ch, channels.length - 1)][i];
+        }
+      }
+      Atomics.store(indices, 0, (writeIndex + frames) % capacity);
     }
 
     reset() {
-      if (this.decoder) {
+      if (this.decoderKind === 'wasm') {
+        this.decoder.postMessage({ type: 'reset' });
+      } else if (this.decoder) {
         try {
           this.decoder.flush();
         } catch (_) {
           // ignore
         }
       }
-      this.playHead = this.ctx ? this.ctx.currentTime : 0;
-      this.baseTimestampUs = null;
-      this.playStart = 0;
+      if (this.node) {
+        this.node.port.postMessage({ type: 'reset' });
+      }
+      this.lastReadIndex = this.writeIndex;
+      this.workletStats = { underruns: 0, resyncs: 0 };
+      this.started = false;
+      this.detachStream();
+      this.resetJitterBuffer();
+    }
+  }
+
+  // Receive-only peer connection for the 'webrtc' transport. Signaling rides the viewer
+  // websocket; with no iceServers configured only host candidates are gathered, which is all
+  // a LAN-local technician (or a local test peer) needs.
+  class MeshAudioPeer {
+    constructor({ iceServers = [], iceTimeoutMs = 5000, onSignal, onTrack, onFailed }) {
+      this.iceServers = iceServers;
+      this.iceTimeoutMs = iceTimeoutMs;
+      this.onSignal = onSignal;
+      this.onTrack = onTrack;
+      this.onFailed = onFailed;
+      this.pc = null;
+      this.timer = null;
+      this.connected = false;
+    }
+
+    async start() {
+      if (!('RTCPeerConnection' in window)) {
+        throw new Error('WebRTC not supported in this browser');
+      }
+      this.pc = new RTCPeerConnection({ iceServers: this.iceServers });
+      this.pc.addTransceiver('audio', { direction: 'recvonly' });
+      this.pc.onicecandidate = (evt) => {
+        this.onSignal({ type: 'candidate', candidate: evt.candidate ? evt.candidate.toJSON() : null });
+      };
+      this.pc.ontrack = (evt) => {
+        this.onTrack(evt.streams[0] || new MediaStream([evt.track]));
+      };
+      this.pc.oniceconnectionstatechange = () => {
+        const state = this.pc && this.pc.iceConnectionState;
+        if (state === 'connected' || state === 'completed') {
+          this.connected = true;
+          clearTimeout(this.timer);
+        } else if (state === 'failed') {
+          this.fail('ICE failed');
+        }
+      };
+      this.timer = setTimeout(() => {
+        if (!this.connected) {
+          this.fail('ICE timed out');
+        }
+      }, this.iceTimeoutMs);
+
+      const offer = await this.pc.createOffer();
+      await this.pc.setLocalDescription(offer);
+      this.onSignal({ type: 'offer', sdp: offer.sdp });
+    }
+
+    async handleSignal(data) {
+      if (!this.pc || !data) {
+        return;
+      }
+      if (data.type === 'answer') {
+        await this.pc.setRemoteDescription({ type: 'answer', sdp: data.sdp });
+      } else if (data.type === 'candidate' && data.candidate) {
+        await this.pc.addIceCandidate(data.candidate);
+      }
+    }
+
+    fail(reason) {
+      const onFailed = this.onFailed;
+      this.close();
+      onFailed && onFailed(reason);
+    }
+
+    close() {
+      clearTimeout(this.timer);
+      this.onFailed = null;
+      if (this.pc) {
+        this.pc.close();
+        this.pc = null;
+      }
+    }
+  }
+
+  // Captures the microphone and encodes it to mono Opus, emitting { seq, timestampMs, payload }
+  // for the client to frame as talkback.
+  class MeshAudioMic {
+    constructor({ bitrate = 32000, workletUrl = `${SCRIPT_BASE}meshaudio-worklet.js`, onFrame, onError } = {}) {
+      this.bitrate = bitrate;
+      this.workletUrl = workletUrl;
+      this.onFrame = onFrame;
+      this.onError = onError;
+      this.stream = null;
+      this.encoder = null;
+      this.source = null;
+      this.processor = null;
+      this.sink = null;
+      this.seq = 0;
+      this.framesCaptured = 0;
+      this.startMs = 0;
+    }
+
+    async start(ctx) {
+      if (!ctx) {
+        throw new Error('Audio not initialized');
+      }
+      if (!('AudioEncoder' in window)) {
+        throw new Error('WebCodecs AudioEncoder not supported in this browser');
+      }
+      if (!ctx.audioWorklet) {
+        throw new Error('AudioWorklet not supported in this browser');
+      }
+      // The player has usually loaded the module into this context already.
+      await ctx.audioWorklet.addModule(this.workletUrl);
+
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true }
+      });
+
+      this.sampleRate = ctx.sampleRate;
+      this.startMs = Date.now();
+      this.encoder = new AudioEncoder({
+        output: (chunk) => this.handleEncoded(chunk),
+        error: (err) => this.onError && this.onError(`Microphone encoder error: ${err.message || err}`)
+      });
+      this.encoder.configure({ codec: 'opus', sampleRate: this.sampleRate, numberOfChannels: 1, bitrate: this.bitrate });
+
+      this.source = ctx.createMediaStreamSource(this.stream);
+      this.processor = new AudioWorkletNode(ctx, 'meshaudio-capture', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        channelCount: 1,
+        channelCountMode: 'explicit',
+        processorOptions: { frames: Math.round(this.sampleRate * CAPTURE_BLOCK_SEC) }
+      });
+      this.processor.port.onmessage = (evt) => {
+        if (evt.data.type === 'pcm') {
+          this.handlePcm(evt.data.data);
+        }
+      };
+      // The processor only runs while connected to the graph; route it through a muted gain.
+      this.sink = ctx.createGain();
+      this.sink.gain.value = 0;
+      this.source.connect(this.processor);
+      this.processor.connect(this.sink);
+      this.sink.connect(ctx.destination);
+    }
+
+    handlePcm(data) {
+      if (!this.encoder || this.encoder.state !== 'configured') {
+        return;
+      }
+      const audioData = new AudioData({
+        format: 'f32-planar',
+        sampleRate: this.sampleRate,
+        numberOfFrames: data.length,
+        numberOfChannels: 1,
+        timestamp: Math.round((this.framesCaptured * 1_000_000) / this.sampleRate),
+        data
+      });
+      this.framesCaptured += data.length;
+      this.encoder.encode(audioData);
+      audioData.close();
+    }
+
+    handleEncoded(chunk) {
+      const payload = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(payload);
+      const frame = { seq: this.seq, timestampMs: this.startMs + Math.round(chunk.timestamp / 1000), payload };
+      this.seq = (this.seq + 1) >>> 0;
+      this.onFrame && this.onFrame(frame);
+    }
+
+    stop() {
+      if (this.processor) {
+        this.processor.port.onmessage = null;
+        this.processor.port.postMessage({ type: 'stop' });
+        this.processor.disconnect();
+      }
+      if (this.source) {
+        this.source.disconnect();
+      }
+      if (this.sink) {
+        this.sink.disconnect();
+      }
+      if (this.stream) {
+        this.stream.getTracks().forEach((track) => track.stop());
+      }
+      if (this.encoder && this.encoder.state !== 'closed') {
+        this.encoder.close();
+      }
+      this.stream = null;
+      this.encoder = null;
+      this.source = null;
+      this.processor = null;
+      this.sink = null;
     }
   }
 
   class MeshAudioClient {
-    constructor({ deviceId, endpoint = DEFAULT_ENDPOINT, volume = 1.0, onStatus, onError }) {
+    constructor({
+      deviceId,
+      endpoint = DEFAULT_ENDPOINT,
+      volume = 1.0,
+      minLatencyMs,
+      maxLatencyMs,
+      decoderMode,
+      profile,
+      mode = 'wss',
+      iceServers = [],
+      iceTimeoutMs,
+      reconnect = true,
+      sourceId = null,
+      e2e = false,
+      onStatus,
+      onError,
+      onListeners,
+      onTalk,
+      onSources,
+      onE2e
+    }) {
       this.deviceId = deviceId;
       this.endpoint = endpoint;
       this.onStatus = onStatus;
       this.onError = onError;
-      this.player = new MeshAudioPlayer({ volume });
+      this.onListeners = onListeners;
+      this.onTalk = onTalk;
+      this.onSources = onSources;
+      this.onE2e = onE2e;
+      this.listenerCount = 0;
+      this.mic = null;
+      this.talking = false;
+      this.player = new MeshAudioPlayer({ volume, minLatencyMs, maxLatencyMs, decoderMode });
+      this.profile = profile; // e.g. 'voice-low' or 'music'; the relay picks the closest the agent supports
+      this.format = null;
+      this.mode = mode; // requested transport: 'wss' or 'webrtc'
+      this.transport = null; // transport the relay confirmed
+      this.iceServers = iceServers;
+      this.iceTimeoutMs = iceTimeoutMs;
+      this.peer = null;
       this.ws = null;
       this.session = null;
+      this.relayDropped = 0; // frames the relay dropped because this viewer's link fell behind
+      this.framing = null;
+      this.frameVersion = 0; // framing version the relay confirmed; 0 until it answers our hello
+      this.keepaliveTimer = null;
+      this.clock = null; // { offsetMs, rttMs }: relay clock minus ours, from the last clock sync
+      this.level = null; // { rms, peak } in dBFS, when the agent sends it
+      this.reconnect = reconnect;
+      this.resumeGraceMs = 0; // how long the relay holds this listener after a drop
+      this.listening = false; // the stream has played, so a drop is worth resuming
+      this.reconnectTimer = null;
+      this.reconnectAttempt = 0;
+      this.reconnectDeadline = null;
+      this.sources = []; // [{ id, kind, name, channels }] as the agent reported them
+      this.sourceId = sourceId; // requested source, then the one the stream is using; null for the agent's default
+      // With e2e, the stream must be encrypted end to end: unencrypted audio is never played.
+      this.e2e = e2e;
+      this.crypto = null;
+      this.e2eState = null; // { keyPair, agentKey, listenerKeys, sealTalkback, streamKeys, deviceFingerprint } for this start
+      this.e2eQueue = Promise.resolve(); // keys and frames, decrypted in arrival order
+      this.talkQueue = Promise.resolve();
+      this.undecryptable = 0;
       this.state = 'idle';
     }
 
@@ -153,6 +911,8 @@
         throw new Error('deviceId required');
       }
       await this.player.resume();
+      this.framing = await loadModule('meshaudio-framing.js', 'MeshAudioFraming');
+      this.e2eState = this.e2e ? await this.createE2eState() : null;
 
       const tokenResp = await fetch(`${this.endpoint}/token`, {
         method: 'POST',
@@ -163,40 +923,63 @@
 
       if (!tokenResp.ok) {
         const body = await tokenResp.text();
-        const msg = body || `Token request failed: ${tokenResp.status}`;
+        let msg = body || `Token request failed: ${tokenResp.status}`;
+        try {
+          const parsed = JSON.parse(body);
+          msg = parsed.reason || parsed.error || msg;
+        } catch (_) {
+          // not JSON, keep raw body
+        }
         this.onError && this.onError(msg);
         throw new Error(msg);
       }
 
       const tokenPayload = await tokenResp.json();
       this.session = tokenPayload;
+      this.relayDropped = 0;
+      this.listening = false;
       await this.openWebSocket(tokenPayload);
       this.setState('starting');
     }
 
-    async openWebSocket(tokenPayload) {
+    // With `resume`, picks up the session the relay is holding instead of starting a new stream.
+    async openWebSocket(tokenPayload, resume = false) {
       const { sessionId, token } = tokenPayload;
       const wsScheme = location.protocol === 'https:' ? 'wss:' : 'ws:';
-      const wsUrl = `${wsScheme}//${location.host}${this.endpoint.replace(/\\/$/, '')}/view?sessionId=${encodeURIComponent(sessionId)}&token=${encodeURIComponent(token)}`;
-      this.ws = new WebSocket(wsUrl);
-      this.ws.binaryType = 'arraybuffer';
+      const wsUrl = `${wsScheme}//${location.host}${this.endpoint.replace(/\/$/, '')}/view?sessionId=${encodeURIComponent(sessionId)}&token=${encodeURIComponent(token)}`;
+      const ws = new WebSocket(wsUrl);
+      this.ws = ws;
+      ws.binaryType = 'arraybuffer';
 
-      this.ws.onopen = () => {
-        this.ws?.send(JSON.stringify({ action: 'start', mode: 'wss' }));
+      ws.onopen = () => {
+        ws.send(JSON.stringify({ action: 'hello', versions: this.framing.VERSIONS }));
+        ws.send(JSON.stringify({ action: 'list_sources' }));
+        ws.send(JSON.stringify(resume ? { action: 'resume' } : this.startAction()));
       };
 
-      this.ws.onclose = () => {
+      ws.onclose = (evt) => {
+        if (this.ws !== ws) {
+          // Closed by stop(), or replaced by a newer connection.
+          return;
+        }
+        this.ws = null;
+        this.stopKeepalive();
+        this.closePeer();
+        this.stopTalk();
+        if (this.scheduleReconnect(evt.code)) {
+          return;
+        }
+        this.listening = false;
         this.setState('idle');
-        this.onError && this.onError('Disconnected from audio stream');
+        this.onError && this.onError(evt.reason || 'Disconnected from audio stream');
       };
 
-      this.ws.onerror = (err) => {
+      ws.onerror = (err) => {
+        // A close event always follows and decides between reconnecting and giving up.
         console.error('MeshAudio socket error', err);
-        this.setState('error');
-        this.onError && this.onError('Socket error');
       };
 
-      this.ws.onmessage = (evt) => {
+      ws.onmessage = (evt) => {
         if (typeof evt.data === 'string') {
           this.handleText(evt.data);
         } else {
@@ -205,7 +988,39 @@
       };
     }
 
+    // Retries a dropped stream with exponential backoff for as long as the relay holds it.
+    // Returns false when the close was deliberate or the grace period has run out.
+    scheduleReconnect(code) {
+      if (!this.reconnect || !this.listening || !this.resumeGraceMs || !RETRYABLE_CLOSE_CODES.includes(code)) {
+        return false;
+      }
+      const now = Date.now();
+      if (this.reconnectDeadline === null) {
+        this.reconnectDeadline = now + this.resumeGraceMs;
+        this.reconnectAttempt = 0;
+      }
+      const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempt) * (0.8 + Math.random() * 0.4);
+      if (now + delay > this.reconnectDeadline) {
+        this.reconnectDeadline = null;
+        return false;
+      }
+      this.reconnectAttempt += 1;
+      this.setState('reconnecting');
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.openWebSocket(this.session, true);
+      }, delay);
+      return true;
+    }
+
     stop() {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      this.reconnectDeadline = null;
+      this.listening = false;
+      this.stopTalk();
+      this.stopKeepalive();
+      this.closePeer();
       if (this.ws && this.ws.readyState === WebSocket.OPEN) {
         this.ws.send(JSON.stringify({ action: 'stop' }));
       }
@@ -214,6 +1029,8 @@
         this.ws = null;
       }
       this.player.reset();
+      this.e2eState = null;
+      this.onE2e && this.onE2e(null);
       this.setState('idle');
     }
 
@@ -221,17 +1038,306 @@
       this.player.setVolume(value);
     }
 
+    startAction() {
+      const e2e = this.e2eState ? { publicKey: this.e2eState.keyPair.encoded } : undefined;
+      return { action: 'start', mode: this.mode, profile: this.profile, sourceId: this.sourceId || undefined, e2e };
+    }
+
+    // A fresh key pair per start; a resumed stream keeps the keys it had.
+    async createE2eState() {
+      this.crypto = await loadModule('meshaudio-e2e.js', 'MeshAudioE2E');
+      const keyPair = await this.crypto.createKeyPair();
+      return { keyPair, agentKey: null, listenerKeys: null, sealTalkback: null, streamKeys: new Map(), deviceFingerprint: null };
+    }
+
+    // { deviceFingerprint, viewerFingerprint } once the agent has sent a key, for comparing
+    // with what the device shows.
+    get e2eInfo() {
+      const state = this.e2eState;
+      if (!state || !state.deviceFingerprint) {
+        return null;
+      }
+      return { deviceFingerprint: state.deviceFingerprint, viewerFingerprint: state.keyPair.fingerprint };
+    }
+
+    async acceptStreamKey(msg) {
+      const state = this.e2eState;
+      if (!state) {
+        return;
+      }
+      if (msg.publicKey !== state.agentKey) {
+        // A new agent key means a new stream on the device side; keys from before are useless.
+        const agentKey = this.crypto.parsePublicKey(msg.publicKey);
+        state.listenerKeys = await this.crypto.deriveListenerKeys(state.keyPair, agentKey, 'viewer');
+        state.sealTalkback = this.crypto.createTalkbackSealer(state.listenerKeys.talkKey);
+        state.streamKeys.clear();
+        state.agentKey = msg.publicKey;
+        state.deviceFingerprint = await this.crypto.fingerprint(agentKey);
+        this.onE2e && this.onE2e(this.e2eInfo);
+      }
+      state.streamKeys.set(msg.keyId, await this.crypto.unwrapStreamKey(state.listenerKeys.wrapKey, msg));
+    }
+
+    async decryptFrame(frame) {
+      const state = this.e2eState;
+      if (!state) {
+        return;
+      }
+      let payload;
+      try {
+        payload = await this.crypto.decryptPayload(state.streamKeys, frame.seq, frame.payload);
+      } catch (_) {
+        this.undecryptable += 1;
+        return;
+      }
+      if (this.e2eState === state) {
+        this.playFrame({ ...frame, payload });
+      }
+    }
+
+    get source() {
+      return this.sources.find((source) => source.id === this.sourceId) || null;
+    }
+
+    // Before the stream starts this picks the source to ask for; while listening it switches
+    // the device's stream, which every listener hears.
+    setSource(sourceId) {
+      if (this.listening && sourceId) {
+        this.sendAction({ action: 'source', sourceId });
+        return;
+      }
+      this.sourceId = sourceId || null;
+    }
+
+    listSources() {
+      this.sendAction({ action: 'list_sources' });
+    }
+
+    getStats() {
+      return {
+        ...this.player.getStats(),
+        relayDropped: this.relayDropped,
+        undecryptable: this.undecryptable,
+        e2e: this.e2eInfo,
+        frameVersion: this.frameVersion,
+        level: this.level,
+        clockOffsetMs: this.clock ? this.clock.offsetMs : null,
+        rttMs: this.clock ? this.clock.rttMs : null
+      };
+    }
+
+    sendFrame(frame) {
+      const data = this.framing.encode({ ...frame, version: this.frameVersion });
+      if (data && this.ws && this.ws.readyState === WebSocket.OPEN) {
+        this.ws.send(data);
+      }
+    }
+
+    // Keepalives stop idle-timeout proxies from dropping a quiet socket; every few periods a
+    // clock sync refreshes the offset between our clock and the relay's.
+    startKeepalive() {
+      this.stopKeepalive();
+      let ticks = 0;
+      this.syncClock();
+      this.keepaliveTimer = setInterval(() => {
+        ticks += 1;
+        if (ticks % CLOCK_SYNC_EVERY === 0) {
+          this.syncClock();
+        } else {
+          this.sendFrame({ type: this.framing.FRAME_TYPES.KEEPALIVE });
+        }
+      }, KEEPALIVE_MS);
+    }
+
+    stopKeepalive() {
+      clearInterval(this.keepaliveTimer);
+      this.keepaliveTimer = null;
+    }
+
+    syncClock() {
+      this.sendFrame({ type: this.framing.FRAME_TYPES.CLOCK_SYNC, timestampMs: Date.now() });
+    }
+
+    get decoderName() {
+      return this.player.decoderName;
+    }
+
+    sendAction(payload) {
+      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        this.ws.send(JSON.stringify(payload));
+      }
+    }
+
+    async startPeer() {
+      this.peer = new MeshAudioPeer({
+        iceServers: this.iceServers,
+        iceTimeoutMs: this.iceTimeoutMs,
+        onSignal: (data) => this.sendAction({ action: 'signal', data }),
+        onTrack: (stream) => {
+          this.player.attachStream(stream);
+          this.setState('streaming');
+        },
+        onFailed: (reason) => this.fallbackToRelay(reason)
+      });
+      try {
+        await this.peer.start();
+      } catch (err) {
+        this.fallbackToRelay(err.message);
+      }
+    }
+
+    fallbackToRelay(reason) {
+      console.warn('MeshAudio WebRTC unavailable, falling back to relay:', reason);
+      this.closePeer();
+      this.sendAction({ action: 'transport', mode: 'wss' });
+    }
+
+    closePeer() {
+      if (this.peer) {
+        this.peer.close();
+        this.peer = null;
+      }
+      this.player.detachStream();
+    }
+
+    async startTalk() {
+      if (this.mic) {
+        return;
+      }
+      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+        throw new Error('Not connected');
+      }
+
+      const mic = new MeshAudioMic({
+        workletUrl: this.player.workletUrl,
+        onFrame: (frame) => this.sendTalkFrame({ ...frame, type: this.framing.FRAME_TYPES.TALKBACK, codec: 'opus' }),
+        onError: (message) => this.onError && this.onError(message)
+      });
+      this.mic = mic;
+      this.ws.send(JSON.stringify({ action: 'talk_start' }));
+      try {
+        await mic.start(this.player.ctx);
+      } catch (err) {
+        if (this.mic === mic) {
+          this.stopTalk();
+        }
+        throw err;
+      }
+      if (this.mic !== mic) {
+        // stopTalk() ran while the microphone was starting (e.g. during the permission prompt).
+        mic.stop();
+        return;
+      }
+      this.talking = true;
+    }
+
+    sendTalkFrame(frame) {
+      const state = this.e2eState;
+      if (!state) {
+        this.sendFrame(frame);
+        return;
+      }
+      if (!state.listenerKeys) {
+        return;
+      }
+      // The microphone's seq restarts with every press; the talkback key does not.
+      const seal = state.sealTalkback;
+      this.talkQueue = this.talkQueue
+        .then(() => seal(frame.payload))
+        .then(({ seq, payload }) => this.sendFrame({ ...frame, seq, payload, encrypted: true }))
+        .catch((err) => console.warn('MeshAudio could not encrypt talkback:', err.message));
+    }
+
+    stopTalk() {
+      if (!this.mic) {
+        return;
+      }
+      this.mic.stop();
+      this.mic = null;
+      this.talking = false;
+      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        this.ws.send(JSON.stringify({ action: 'talk_stop' }));
+      }
+    }
+
     handleText(text) {
       try {
         const msg = JSON.parse(text);
         if (msg.type === 'status') {
+          if (msg.state === 'agent_disconnected') {
+            // Whatever the agent sends after reconnecting is a new stream.
+            this.player.endOfStream();
+          }
           this.setState(msg.state || 'unknown');
           if (msg.state === 'error' && this.onError) {
             this.onError(msg.reason || 'Agent error');
           }
-        } else if (msg.type === 'error' && this.onError) {
-          this.onError(msg.reason || 'Stream error');
+        } else if (msg.type === 'format') {
+          this.format = msg.format;
+          this.player.configure(msg.format);
+        } else if (msg.type === 'transport') {
+          this.transport = msg.mode;
+          if (msg.mode === 'webrtc' && !this.peer) {
+            this.startPeer();
+          }
+        } else if (msg.type === 'signal') {
+          if (this.peer) {
+            this.peer.handleSignal(msg.data).catch((err) => this.fallbackToRelay(err.message));
+          }
+        } else if (msg.type === 'viewer_connected') {
+          this.resumeGraceMs = msg.resumeGraceMs || 0;
+        } else if (msg.type === 'resumed') {
+          // The player kept its state across the drop; only the socket was replaced.
+          this.reconnectDeadline = null;
+          this.transport = msg.transport;
+          this.sourceId = msg.sourceId || this.sourceId;
+          this.setState('streaming');
+        } else if (msg.type === 'error' && msg.scope === 'resume') {
+          // The relay let the stream go; ask for a new one on this connection.
+          this.reconnectDeadline = null;
+          this.listening = false;
+          this.player.reset();
+          this.setState('starting');
+          this.sendAction(this.startAction());
+        } else if (msg.type === 'hello') {
+          this.frameVersion = msg.version;
+          if (this.frameVersion >= 1) {
+            this.startKeepalive();
+          }
+        } else if (msg.type === 'sources') {
+          this.sources = Array.isArray(msg.sources) ? msg.sources : [];
+          if (msg.sourceId) {
+            this.sourceId = msg.sourceId;
+          }
+          this.onSources && this.onSources(this.sources, this.sourceId);
+        } else if (msg.type === 'source') {
+          this.sourceId = msg.sourceId;
+          this.onSources && this.onSources(this.sources, this.sourceId);
+        } else if (msg.type === 'error' && msg.scope === 'source') {
+          this.onError && this.onError(msg.reason || 'Unable to switch source');
+          this.onSources && this.onSources(this.sources, this.sourceId);
+        } else if (msg.type === 'e2e_key') {
+          this.e2eQueue = this.e2eQueue.then(() => this.acceptStreamKey(msg)).catch((err) => {
+            this.onError && this.onError(`End-to-end key rejected: ${err.message}`);
+          });
+        } else if (msg.type === 'congestion') {
+          this.relayDropped = msg.total || this.relayDropped + (msg.dropped || 0);
+        } else if (msg.type === 'listener_joined' || msg.type === 'listener_left') {
+          this.listenerCount = msg.listeners || 0;
+          if (typeof this.onListeners === 'function') {
+            this.onListeners(msg);
+          }
+        } else if (msg.type === 'talk_started' || msg.type === 'talk_stopped') {
+          if (typeof this.onTalk === 'function') {
+            this.onTalk(msg);
+          }
+        } else if (msg.type === 'error' && msg.scope === 'talk') {
+          this.stopTalk();
+          this.onError && this.onError(msg.reason || 'Talkback error');
+        } else if (msg.type === 'error') {
+          // State first, so the UI's generic error note does not replace the reason.
           this.setState('error');
+          this.onError && this.onError(msg.reason || 'Stream error');
         }
       } catch (err) {
         console.warn('Bad message', text, err);
@@ -239,28 +1345,48 @@
     }
 
     handleBinary(buffer) {
-      if (!buffer || buffer.byteLength < 13) {
+      let frame;
+      try {
+        frame = this.framing.decode(buffer);
+      } catch (err) {
+        console.warn('MeshAudio dropped a frame:', err.message);
         return;
       }
-      const view = new DataView(buffer);
-      const type = view.getUint8(0);
-      if (type !== 0x1) {
+      const { FRAME_TYPES } = this.framing;
+      if (frame.type === FRAME_TYPES.CLOCK_SYNC) {
+        // NTP-style: offset assumes the request and response spent equally long in flight.
+        const now = Date.now();
+        this.clock = {
+          offsetMs: Math.round((frame.receiveMs - frame.originateMs + frame.timestampMs - now) / 2),
+          rttMs: now - frame.originateMs - (frame.timestampMs - frame.receiveMs)
+        };
         return;
       }
-      const seq = view.getUint32(1, true); // reserved for future reordering
-      let timestampMs;
-      if (typeof view.getBigInt64 === 'function') {
-        timestampMs = Number(view.getBigInt64(1 + 4, true));
-      } else {
-        const lo = view.getUint32(1 + 4, true);
-        const hi = view.getUint32(1 + 4 + 4, true);
-        timestampMs = hi * 4294967296 + lo;
+      if (frame.type === FRAME_TYPES.END_OF_STREAM) {
+        this.player.endOfStream();
+        return;
+      }
+      if (frame.type !== FRAME_TYPES.AUDIO) {
+        return;
       }
-      if (Number.isNaN(timestampMs)) {
+      if (frame.codec && this.format && frame.codec !== this.format.codec) {
         return;
       }
-      const payload = buffer.slice(1 + 4 + 8);
-      this.player.enqueue(payload, timestampMs);
+      // Plain audio is refused when end-to-end encryption was asked for, whatever the relay sends.
+      if (this.e2eState || frame.encrypted) {
+        if (this.e2eState && frame.encrypted) {
+          this.e2eQueue = this.e2eQueue.then(() => this.decryptFrame(frame));
+        } else {
+          this.undecryptable += 1;
+        }
+        return;
+      }
+      this.playFrame(frame);
+    }
+
+    playFrame(frame) {
+      this.level = frame.level;
+      this.player.enqueue(frame.payload, frame.timestampMs, frame.seq);
       if (this.state !== 'streaming') {
         this.setState('streaming');
       }
@@ -268,13 +1394,16 @@
 
     setState(state) {
       this.state = state;
+      if (state === 'streaming') {
+        this.listening = true;
+      }
       if (typeof this.onStatus === 'function') {
         this.onStatus(state);
       }
     }
   }
 
-  function mountMeshAudioUI({ root, deviceId, endpoint }) {
+  function mountMeshAudioUI({ root, deviceId, endpoint, profile, mode, iceServers, e2e }) {
     if (!root) {
       throw new Error('root element required');
     }
@@ -288,12 +1417,20 @@
       </div>
       <div class="meshaudio__controls">
         <button class="meshaudio__toggle" id="meshaudio-toggle">Start Audio</button>
+        <button class="meshaudio__talk" id="meshaudio-ptt" disabled>Hold to Talk</button>
+        <button class="meshaudio__talk" id="meshaudio-talk-toggle" disabled>Talk</button>
+        <label class="meshaudio__source" hidden>
+          <span>Source</span>
+          <select id="meshaudio-source"></select>
+        </label>
         <label class="meshaudio__volume">
           <span>Volume</span>
           <input type="range" min="0" max="1" step="0.01" value="1" id="meshaudio-volume" />
         </label>
       </div>
       <div class="meshaudio__note" id="meshaudio-note"></div>
+      <div class="meshaudio__e2e" id="meshaudio-e2e" hidden></div>
+      <div class="meshaudio__stats" id="meshaudio-stats"></div>
     `;
 
     root.appendChild(container);
@@ -302,23 +1439,59 @@
     const toggleBtn = container.querySelector('#meshaudio-toggle');
     const volumeSlider = container.querySelector('#meshaudio-volume');
     const noteEl = container.querySelector('#meshaudio-note');
+    const statsEl = container.querySelector('#meshaudio-stats');
+    const pttBtn = container.querySelector('#meshaudio-ptt');
+    const talkToggleBtn = container.querySelector('#meshaudio-talk-toggle');
+    const sourceSelect = container.querySelector('#meshaudio-source');
+    const e2eEl = container.querySelector('#meshaudio-e2e');
 
     const client = new MeshAudioClient({
       deviceId,
       endpoint,
+      profile,
+      mode,
+      iceServers,
+      e2e,
       onStatus: (state) => updateStatus(state),
       onError: (message) => {
         noteEl.textContent = message || 'Audio error';
-      }
+      },
+      onListeners: (msg) => {
+        const verb = msg.type === 'listener_joined' ? 'joined' : 'left';
+        noteEl.textContent = `${msg.userId || 'A listener'} ${verb} (${msg.listeners} listening)`;
+      },
+      onTalk: (msg) => {
+        const who = msg.sessionId === (client.session && client.session.sessionId) ? 'You are' : `${msg.userId || 'A listener'} is`;
+        noteEl.textContent = msg.type === 'talk_started' ? `${who} talking` : '';
+        updateTalkControls();
+      },
+      onSources: () => renderSources(),
+      onE2e: (info) => renderE2e(info)
     });
 
-    client.init().catch((err) => {
-      noteEl.textContent = `Audio init failed: ${err.message}`;
-      toggleBtn.disabled = true;
-    });
+    client
+      .init()
+      .then(() => {
+        noteEl.textContent = decoderNote();
+      })
+      .catch((err) => {
+        noteEl.textContent = `Audio init failed: ${err.message}`;
+        toggleBtn.disabled = true;
+      });
+
+    function decoderNote() {
+      return client.decoderName === 'WebAssembly' ? 'WebAssembly decoder (fallback)' : `${client.decoderName} decoder`;
+    }
+
+    // The states updateStatus() labels 'Start Audio'.
+    const START_STATES = ['idle', 'error', 'agent_disconnected'];
 
     toggleBtn.addEventListener('click', async () => {
-      if (client.state === 'idle' || client.state === 'error') {
+      if (START_STATES.includes(client.state)) {
+        if (client.ws) {
+          // The relay ended the stream but kept the socket; start over on a fresh session.
+          client.stop();
+        }
         toggleBtn.disabled = true;
         noteEl.textContent = 'Connecting...';
         try {
@@ -332,21 +1505,122 @@
       }
     });
 
+    async function beginTalk() {
+      try {
+        await client.startTalk();
+      } catch (err) {
+        noteEl.textContent = `Talk failed: ${err.message}`;
+      }
+      updateTalkControls();
+    }
+
+    function endTalk() {
+      client.stopTalk();
+      updateTalkControls();
+    }
+
+    pttBtn.addEventListener('pointerdown', () => beginTalk());
+    // client.mic is set from the press on, so a release while the microphone is still starting
+    // stops it too.
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach((type) => {
+      pttBtn.addEventListener(type, () => {
+        if (client.mic && !talkToggleBtn.classList.contains('meshaudio__talk--active')) {
+          endTalk();
+        }
+      });
+    });
+
+    talkToggleBtn.addEventListener('click', () => {
+      if (client.mic) {
+        talkToggleBtn.classList.remove('meshaudio__talk--active');
+        endTalk();
+      } else {
+        talkToggleBtn.classList.add('meshaudio__talk--active');
+        beginTalk();
+      }
+    });
+
+    function sourceLabel(source) {
+      return source.kind && source.kind !== 'other' ? `${source.name} (${source.kind})` : source.name;
+    }
+
+    function renderSources() {
+      sourceSelect.parentElement.hidden = client.sources.length === 0;
+      sourceSelect.textContent = '';
+      if (!client.sourceId) {
+        sourceSelect.appendChild(new Option('Default', ''));
+      }
+      client.sources.forEach((source) => {
+        sourceSelect.appendChild(new Option(sourceLabel(source), source.id));
+      });
+      sourceSelect.value = client.sourceId || '';
+      if (client.state === 'streaming') {
+        updateStatus(client.state);
+      }
+    }
+
+    // Compared out of band with the fingerprints the device shows; a mismatch means someone in
+    // between, such as the server, holds one of the keys.
+    function renderE2e(info) {
+      e2eEl.hidden = !info;
+      e2eEl.textContent = info ? `End-to-end encrypted · Device key ${info.deviceFingerprint} · Your key ${info.viewerFingerprint}` : '';
+    }
+
+    sourceSelect.addEventListener('change', () => {
+      client.setSource(sourceSelect.value || null);
+    });
+
     volumeSlider.addEventListener('input', (e) => {
       const value = Number(e.target.value);
       client.setVolume(value);
     });
 
+    let statsTimer = null;
+
+    function renderStats() {
+      const stats = client.getStats();
+      const relay = stats.relayDropped ? ` · Relay dropped ${stats.relayDropped}` : '';
+      statsEl.textContent = `Latency ${stats.latencyMs} ms · Jitter ${stats.jitterMs} ms · Lost ${stats.lost} · Late ${stats.late} · Reordered ${stats.reordered} · Concealed ${stats.concealed}${relay}`;
+    }
+
+    function updateTalkControls() {
+      const streaming = client.state === 'streaming';
+      pttBtn.disabled = !streaming;
+      talkToggleBtn.disabled = !streaming;
+      if (!client.talking) {
+        talkToggleBtn.classList.remove('meshaudio__talk--active');
+      }
+      pttBtn.classList.toggle('meshaudio__talk--active', client.talking && !talkToggleBtn.classList.contains('meshaudio__talk--active'));
+      talkToggleBtn.textContent = client.talking && talkToggleBtn.classList.contains('meshaudio__talk--active') ? 'Stop Talking' : 'Talk';
+    }
+
     function updateStatus(state) {
       statusEl.className = `meshaudio__status meshaudio__status--${state}`;
+      updateTalkControls();
+      if (state === 'streaming' && !statsTimer) {
+        statsTimer = setInterval(renderStats, 1000);
+      } else if (state !== 'streaming' && statsTimer) {
+        clearInterval(statsTimer);
+        statsTimer = null;
+      }
       if (state === 'streaming') {
         toggleBtn.textContent = 'Stop Audio';
         toggleBtn.disabled = false;
-        noteEl.textContent = 'Streaming system audio';
+        const path = client.transport === 'webrtc' ? 'WebRTC' : decoderNote();
+        const source = client.source ? sourceLabel(client.source) : 'system audio';
+        noteEl.textContent = [`Streaming ${source}`, describeFormat(client.format), path].filter(Boolean).join(' · ');
       } else if (state === 'starting') {
         toggleBtn.textContent = 'Starting...';
         toggleBtn.disabled = true;
         noteEl.textContent = 'Starting stream';
+      } else if (state === 'reconnecting') {
+        toggleBtn.textContent = 'Stop Audio';
+        toggleBtn.disabled = false;
+        noteEl.textContent = 'Connection lost, reconnecting...';
+      } else if (state === 'awaiting_consent') {
+        toggleBtn.textContent = 'Cancel';
+        toggleBtn.disabled = false;
+        noteEl.textContent = 'Waiting for the user at the device to allow listening';
       } else if (state === 'agent_disconnected') {
         toggleBtn.textContent = 'Start Audio';
         toggleBtn.disabled = false;
@@ -367,6 +1641,7 @@
 
   window.MeshAudio = {
     mount: mountMeshAudioUI,
-    Client: MeshAudioClient
+    Client: MeshAudioClient,
+    Player: MeshAudioPlayer
   };
 })();